@@ -1,7 +1,14 @@
 #!/usr/bin/env node
 
 import { parseArgs } from 'util';
+import { readFile, writeFile } from 'fs/promises';
 import { runExtraction } from './src/extractor.js';
+import { toSarif } from './src/sarif.js';
+import { evaluatePolicy, parsePolicy } from './src/policy.js';
+import { diffScans, formatDiffSummary } from './src/diff.js';
+import { parsePiiRules } from './src/pii-detection.js';
+
+const OUTPUT_FORMATS = ['json', 'sarif'];
 
 function parseArguments() {
   const options = {
@@ -12,7 +19,30 @@ function parseArguments() {
     token: { type: 'string', short: 't' },
     help: { type: 'boolean', short: 'h' },
     'fast-discovery': { type: 'boolean', short: 'f' },
+    schemas: { type: 'string' },
+    wordlists: { type: 'string' },
+    'wordlist-file': { type: 'string' },
     'export-sql': { type: 'string', short: 's' },
+    'write-probe': { type: 'boolean', short: 'w' },
+    identity: { type: 'string', short: 'i', multiple: true },
+    'probe-rpc': { type: 'boolean', short: 'r' },
+    'edge-functions': { type: 'boolean' },
+    'signup-probe': { type: 'boolean' },
+    count: { type: 'string', short: 'c' },
+    dump: { type: 'string', short: 'd' },
+    'dump-limit': { type: 'string' },
+    concurrency: { type: 'string' },
+    'storage-depth': { type: 'string' },
+    'storage-limit': { type: 'string' },
+    'sample-storage': { type: 'boolean' },
+    'storage-write-probe': { type: 'boolean' },
+    realtime: { type: 'boolean' },
+    'realtime-window': { type: 'string' },
+    retries: { type: 'string' },
+    format: { type: 'string' },
+    output: { type: 'string', short: 'o' },
+    policy: { type: 'string' },
+    'pii-rules': { type: 'string' },
   };
   try {
     const { values } = parseArgs({ options, allowPositionals: false });
@@ -30,6 +60,7 @@ Supabase Data Extractor
 
 Usage:
   node extract-data.js --url <supabase-url> --key <anon-key> [options]
+  node extract-data.js diff <previous.json> <current.json> [--format json] [--output <file>]
 
 Required Parameters:
   --url, -u    Supabase project URL
@@ -40,9 +71,41 @@ Optional Parameters:
   --password, -p       Password for authentication
   --token, -t          Bearer token for authentication (JWT token from Supabase Auth)
   --fast-discovery, -f Skip comprehensive table name discovery (faster)
+  --schemas            Extra schemas to probe with Accept-Profile, comma-separated (e.g. api,private)
+  --wordlists          Table name wordlists, comma-separated: common, saas, ecommerce, social, health (default all)
+  --wordlist-file      Extra table names to try, one per line
   --export-sql, -s     Export database schema as SQL file (specify filename)
+  --write-probe, -w    Probe insert/update/delete permissions per table (no data is changed)
+  --identity, -i       Extra identity to compare access with (repeatable):
+                       anon, email:password or token:<jwt>, optionally prefixed with label=
+  --probe-rpc, -r      Call read-only RPC functions as anon to check which are publicly callable
+  --edge-functions     Probe likely Edge Function names (verify_jwt, CORS, status)
+  --signup-probe       Sign up a throwaway user and report tables it can read beyond anon
+                       (the account is left in place; delete it afterwards)
+  --count, -c          Row count mode: exact (default), planned or estimated
+  --dump, -d           Stream table rows to an NDJSON file (specify filename)
+  --dump-limit         Maximum rows dumped per table (default 10000)
+  --storage-depth      Folder depth for the recursive storage index (default 5)
+  --storage-limit      Maximum objects indexed per bucket (default 2000)
+  --sample-storage     Download the first 64 KB of up to 10 text objects per bucket and scan for PII and secrets
+  --storage-write-probe
+                       Upload, overwrite, move and delete a marker object per bucket to test write policies
+  --realtime           Subscribe to postgres_changes per table and common public channels over Realtime
+  --realtime-window    Seconds to listen for Realtime events (default 10)
+  --concurrency        Maximum concurrent requests (default 4); backs off on HTTP 429/502/503/504
+  --retries            Retries for rate-limited or transient failures; writes only on 429 (default 3)
+  --format             Write the result as json or sarif (SARIF 2.1.0 for code scanning)
+  --output, -o         File for --format output (default: stdout, with logs sent to stderr);
+                       without --format, .json or .sarif picks the format
+  --policy             Policy file (JSON or YAML) of allowed findings; exits with code 2 on violations
+  --pii-rules          Custom PII rules file (JSON or YAML), added to the built-in rules
   --help, -h           Show this help message
 
+Diff command:
+  Compares two JSON results (from --format json): newly exposed or hidden tables,
+  column changes, row count swings, new PII findings and bucket exposure changes.
+  Prints a readable summary; --format json writes the machine-readable diff instead.
+
 Examples:
   # Anonymous access
   node extract-data.js --url https://project.supabase.co --key your-anon-key
@@ -53,12 +116,78 @@ Examples:
   # With bearer token authentication
   node extract-data.js --url https://project.supabase.co --key your-anon-key --token your-bearer-token
 
+  # Probe write permissions (RLS) per table
+  node extract-data.js --url https://project.supabase.co --key your-anon-key --write-probe
+
+  # Compare access between anon and two users
+  node extract-data.js --url https://project.supabase.co --key your-anon-key --identity alice=alice@example.com:pw1 --identity bob=bob@example.com:pw2
+
+  # Dump up to 500 rows per table using planner estimates for counts
+  node extract-data.js --url https://project.supabase.co --key your-anon-key --count planned --dump rows.ndjson --dump-limit 500
+
+  # SARIF report for CI code scanning
+  node extract-data.js --url https://project.supabase.co --key your-anon-key --format sarif --output supamole.sarif
+
+  # Fail a CI job when findings break the policy
+  node extract-data.js --url https://project.supabase.co --key your-anon-key --policy supamole-policy.yaml
+
   # Export schema as SQL file
   node extract-data.js --url https://project.supabase.co --key your-anon-key --export-sql schema.sql
+
+  # Compare this week's scan with last week's
+  node extract-data.js diff scan-last-week.json scan-this-week.json
 `);
 }
 
+async function runDiff(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: { format: { type: 'string' }, output: { type: 'string', short: 'o' }, help: { type: 'boolean', short: 'h' } },
+      allowPositionals: true,
+    });
+  } catch (error) {
+    console.error('Error parsing arguments:', error.message);
+    process.exit(1);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) {
+    showHelp();
+    return;
+  }
+  if (positionals.length !== 2) {
+    console.error('❌ diff needs two result files: diff <previous.json> <current.json>');
+    process.exit(1);
+  }
+  const format = values.format?.toLowerCase();
+  if (format && format !== 'json') {
+    console.error(`❌ Unknown --format "${values.format}" for diff (expected json)`);
+    process.exit(1);
+  }
+
+  try {
+    const [before, after] = await Promise.all(positionals.map(async (file) => JSON.parse(await readFile(file, 'utf8'))));
+    const diff = diffScans(before, after);
+    const content = format === 'json' ? JSON.stringify(diff, null, 2) : formatDiffSummary(diff);
+    if (values.output) {
+      await writeFile(values.output, content + '\n', 'utf8');
+      console.log(`📄 Diff written to: ${values.output}`);
+    } else {
+      process.stdout.write(content + '\n');
+    }
+  } catch (error) {
+    console.error('💥 Fatal error:', error.message);
+    process.exit(1);
+  }
+}
+
 async function main() {
+  if (process.argv[2] === 'diff') {
+    await runDiff(process.argv.slice(3));
+    return;
+  }
+
   const args = parseArguments();
 
   if (args.help) {
@@ -79,11 +208,93 @@ async function main() {
     password: args.password,
     token: args.token,
     fastDiscovery: args['fast-discovery'] ?? false,
+    schemas: args.schemas ? args.schemas.split(',').map((s) => s.trim()).filter(Boolean) : [],
+    wordlists: args.wordlists ? args.wordlists.split(',').map((s) => s.trim()).filter(Boolean) : undefined,
     exportSql: args['export-sql'] || undefined,
+    writeProbe: args['write-probe'] ?? false,
+    identities: args.identity ?? [],
+    probeRpc: args['probe-rpc'] ?? false,
+    probeEdgeFunctions: args['edge-functions'] ?? false,
+    signupProbe: args['signup-probe'] ?? false,
+    countMode: args.count || undefined,
+    dump: args.dump || undefined,
+    dumpRowLimit: args['dump-limit'] ? Number(args['dump-limit']) : undefined,
+    concurrency: args.concurrency ? Number(args.concurrency) : undefined,
+    storageMaxDepth: args['storage-depth'] ? Number(args['storage-depth']) : undefined,
+    storageMaxObjects: args['storage-limit'] ? Number(args['storage-limit']) : undefined,
+    sampleStorage: args['sample-storage'] ?? false,
+    storageWriteProbe: args['storage-write-probe'] ?? false,
+    realtime: args.realtime ?? false,
+    realtimeWindow: args['realtime-window'] ? Number(args['realtime-window']) : undefined,
+    maxRetries: args.retries ? Number(args.retries) : undefined,
   };
 
+  // Without --format, a report file takes its format from the extension (report.sarif, report.json).
+  const inferred = !args.format && args.output ? OUTPUT_FORMATS.find((f) => args.output.toLowerCase().endsWith(`.${f}`)) : undefined;
+  if (args.output && !args.format && !inferred) {
+    console.error(`❌ --output needs --format (${OUTPUT_FORMATS.join(' or ')}) or a file name ending in ${OUTPUT_FORMATS.map((f) => `.${f}`).join(' or ')}`);
+    process.exit(1);
+  }
+  const format = (args.format || inferred)?.toLowerCase();
+  if (format && !OUTPUT_FORMATS.includes(format)) {
+    console.error(`❌ Unknown --format "${args.format}" (expected ${OUTPUT_FORMATS.join(' or ')})`);
+    process.exit(1);
+  }
+  // With a report on stdout, logs move to stderr so the report stays parseable.
+  const toStdout = format && !args.output;
+  const print = toStdout ? console.error : console.log;
+
+  if (args['pii-rules']) {
+    try {
+      config.piiRules = await parsePiiRules(await readFile(args['pii-rules'], 'utf8'), args['pii-rules']);
+    } catch (error) {
+      console.error(`❌ Invalid PII rules file ${args['pii-rules']}: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  if (args['wordlist-file']) {
+    try {
+      config.extraWords = (await readFile(args['wordlist-file'], 'utf8')).split('\n').map((l) => l.trim()).filter((l) => l && !l.startsWith('#'));
+    } catch (error) {
+      console.error(`❌ Could not read wordlist file ${args['wordlist-file']}: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  let policy;
+  if (args.policy) {
+    try {
+      policy = await parsePolicy(await readFile(args.policy, 'utf8'), args.policy);
+    } catch (error) {
+      console.error(`❌ Invalid policy file ${args.policy}: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
   try {
-    await runExtraction(config, { echoToConsole: true });
+    const result = await runExtraction(config, toStdout ? { echoToConsole: false, onLog: (msg) => console.error(msg) } : { echoToConsole: true });
+    if (format) {
+      let report = result;
+      if (format === 'sarif') {
+        const pkg = JSON.parse(await readFile(new URL('./package.json', import.meta.url), 'utf8'));
+        report = toSarif(result, { toolVersion: pkg.version, target: config.url });
+      }
+      const content = JSON.stringify(report, null, 2);
+      if (toStdout) {
+        process.stdout.write(content + '\n');
+      } else {
+        await writeFile(args.output, content, 'utf8');
+        console.log(`📄 ${format.toUpperCase()} report written to: ${args.output}`);
+      }
+    }
+    if (policy) {
+      const { violations, allowed, ignored, failOn } = evaluatePolicy(result, policy);
+      print(`\n📜 Policy check (fail on ${failOn}): ${violations.length} violation(s), ${allowed} allowed, ${ignored} ignored`);
+      violations.forEach((v) => print(`   ❌ [${v.level}] ${v.ruleId}: ${v.message}`));
+      if (violations.length > 0) process.exitCode = 2;
+      else print('   ✅ No policy violations');
+    }
   } catch (error) {
     console.error('💥 Fatal error:', error.message);
     process.exit(1);
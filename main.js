@@ -1,4 +1,5 @@
 import { runExtraction } from './src/extractor.js';
+import { diffScans, formatDiffSummary } from './src/diff.js';
 import { initApp } from './public/app.js';
 
-initApp(runExtraction);
+initApp(runExtraction, { diffScans, formatDiffSummary });
@@ -1,10 +1,12 @@
+import { formatBytes } from '../src/util.js';
+
 const GITHUB_REPO_URL = 'https://github.com/TheDistanceHQ/supamole';
 const WEBSITE_URL = 'https://thedistance.co.uk?utm_source=supamole&utm_medium=referral';
 const LOGO_PATH = '/logo.png';
 const FAVICON_PATH = '/the-distance-icon.png';
 const GITHUB_ICON_SVG = '<svg class="gate-icon" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true"><path d="M12 0c-6.626 0-12 5.373-12 12 0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23.957-.266 1.983-.399 3.003-.404 1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576 4.765-1.589 8.199-6.086 8.199-11.386 0-6.627-5.373-12-12-12z"/></svg>';
 
-export function initApp(runExtraction) {
+export function initApp(runExtraction, { diffScans, formatDiffSummary } = {}) {
   const form = document.getElementById('scan-form');
   const formSection = document.getElementById('form-section');
   const loadingSection = document.getElementById('loading-section');
@@ -14,12 +16,26 @@ export function initApp(runExtraction) {
   const submitBtn = document.getElementById('submit-btn');
   const exportSqlEl = document.getElementById('exportSql');
   const exportSqlFilenameWrap = document.getElementById('exportSqlFilename-wrap');
+  const dumpEl = document.getElementById('dump');
+  const dumpRowLimitWrap = document.getElementById('dumpRowLimit-wrap');
+  const realtimeEl = document.getElementById('realtime');
+  const realtimeWindowWrap = document.getElementById('realtimeWindow-wrap');
   let pendingResultsData = null;
   if (exportSqlEl && exportSqlFilenameWrap) {
     exportSqlEl.addEventListener('change', () => {
       exportSqlFilenameWrap.classList.toggle('hidden', !exportSqlEl.checked);
     });
   }
+  if (dumpEl && dumpRowLimitWrap) {
+    dumpEl.addEventListener('change', () => {
+      dumpRowLimitWrap.classList.toggle('hidden', !dumpEl.checked);
+    });
+  }
+  if (realtimeEl && realtimeWindowWrap) {
+    realtimeEl.addEventListener('change', () => {
+      realtimeWindowWrap.classList.toggle('hidden', !realtimeEl.checked);
+    });
+  }
 
   function showResultsGate() {
     resultsSection.innerHTML = '';
@@ -97,7 +113,25 @@ export function initApp(runExtraction) {
       password: document.getElementById('password').value.trim() || undefined,
       token: document.getElementById('token').value.trim() || undefined,
       fastDiscovery: document.getElementById('fastDiscovery').checked,
+      schemas: (document.getElementById('schemas')?.value || '').split(',').map((s) => s.trim()).filter(Boolean),
+      wordlists: (document.getElementById('wordlists')?.value || '').split(',').map((s) => s.trim()).filter(Boolean),
+      extraWords: (document.getElementById('extraWords')?.value || '').split('\n').map((l) => l.trim()).filter(Boolean),
+      writeProbe: document.getElementById('writeProbe').checked,
+      probeRpc: document.getElementById('probeRpc').checked,
+      probeEdgeFunctions: document.getElementById('probeEdgeFunctions').checked,
+      signupProbe: document.getElementById('signupProbe').checked,
+      sampleStorage: document.getElementById('sampleStorage').checked,
+      storageWriteProbe: document.getElementById('storageWriteProbe').checked,
+      realtime: document.getElementById('realtime').checked,
+      realtimeWindow: Number(document.getElementById('realtimeWindow')?.value?.trim()) || undefined,
+      identities: (document.getElementById('identities')?.value || '').split('\n').map((l) => l.trim()).filter(Boolean),
       exportSql: exportSqlEl && exportSqlEl.checked ? (document.getElementById('exportSqlFilename')?.value?.trim() || 'schema.sql') : undefined,
+      countMode: document.getElementById('countMode')?.value || undefined,
+      dump: document.getElementById('dump')?.checked ? 'dump.ndjson' : undefined,
+      dumpRowLimit: Number(document.getElementById('dumpRowLimit')?.value?.trim()) || undefined,
+      concurrency: Number(document.getElementById('concurrency')?.value?.trim()) || undefined,
+      storageMaxDepth: document.getElementById('storageMaxDepth')?.value?.trim() ? Number(document.getElementById('storageMaxDepth').value.trim()) : undefined,
+      storageMaxObjects: Number(document.getElementById('storageMaxObjects')?.value?.trim()) || undefined,
     };
     formSection.classList.add('hidden');
     loadingSection.classList.remove('hidden');
@@ -141,17 +175,77 @@ export function initApp(runExtraction) {
     const publicReachable = storage.buckets.filter(
       (b) => b.publicUrlCheck && b.publicUrlCheck.verified > 0
     );
+    const functions = data.functions || [];
+    const callableFunctions = functions.filter((f) => f.probe && f.probe.callable);
+    const edgeFunctions = data.edgeFunctions || [];
+    const openEdgeFunctions = edgeFunctions.filter((f) => f.verifyJwt === false);
+    const writableTables = tables.filter(
+      (t) => t.permissions && (t.permissions.insert || t.permissions.update || t.permissions.delete)
+    );
+    const writableBuckets = storage.buckets.filter(
+      (b) => b.writeProbe && (b.writeProbe.permissions.upload || b.writeProbe.permissions.overwrite || b.writeProbe.permissions.delete)
+    );
+    const exposedSchemas = (data.schemas || []).filter((s) => s.exposed);
+    const embedding = data.embedding || [];
+    const embeddingLeaks = embedding.filter((e) => e.leak);
+    const secretFindings = [
+      ...tables.flatMap((t) => (t.secretFindings || []).map((f) => ({
+        ...f,
+        location: `${t.table_schema === 'public' ? t.table_name : `${t.table_schema}.${t.table_name}`}.${f.column}`,
+      }))),
+      ...storage.buckets.flatMap((b) => (b.secretFindings || []).map((f) => ({ ...f, location: `${b.name}/${f.path}` }))),
+    ];
+    const likelySecrets = secretFindings.filter((f) => f.confidence !== 'low');
+
+    const credentials = data.credentials || {};
+    const credentialLine = (label, info) => {
+      if (!info) return null;
+      const parts = [info.role ? `role ${info.role}` : info.kind];
+      if (info.ref) parts.push(`ref ${info.ref}${info.refMatchesUrl === false ? ' (does not match URL)' : ''}`);
+      if (info.iss) parts.push(`iss ${info.iss}`);
+      if (info.expiresAt) parts.push(`${info.expired ? 'expired' : 'expires'} ${info.expiresAt.slice(0, 10)}`);
+      return el('span', { className: info.warnings && info.warnings.length ? 'storage-warn' : '', textContent: `${label}: ${parts.join(', ')}` });
+    };
+    const serviceRole = [credentials.key, credentials.token].some((c) => c && c.role === 'service_role');
 
     const summary = el('div', { className: 'card' }, [
       el('h2', { textContent: 'Summary' }),
+      serviceRole
+        ? el('p', { className: 'storage-warn', textContent: 'The supplied credentials have the service_role: RLS was bypassed, so these results show full access, not public exposure.' })
+        : null,
       el('div', { className: 'summary-stats' }, [
+        credentialLine('API key', credentials.key),
+        credentialLine('Bearer token', credentials.token),
         el('span', { textContent: `Tables: ${tables.length}` }),
+        exposedSchemas.length
+          ? el('span', { textContent: `Exposed schemas beyond public: ${exposedSchemas.map((s) => s.name).join(', ')}` })
+          : null,
+        likelySecrets.length
+          ? el('span', { className: 'storage-warn', textContent: `${likelySecrets.length} possible secret(s) exposed` })
+          : null,
         el('span', { textContent: `Tables with suspected PII: ${tablesWithPII.length}` }),
         el('span', { textContent: `Storage buckets: ${storage.buckets.length}` }),
         el('span', { textContent: `Public buckets: ${publicBuckets.length}` }),
         publicReachable.length
           ? el('span', { className: 'storage-warn', textContent: `${publicReachable.length} bucket(s) with reachable public URLs` })
           : null,
+        writableTables.length
+          ? el('span', { className: 'storage-warn', textContent: `${writableTables.length} table(s) accept writes` })
+          : null,
+        writableBuckets.length
+          ? el('span', { className: 'storage-warn', textContent: `${writableBuckets.length} bucket(s) accept writes` })
+          : null,
+        embeddingLeaks.length
+          ? el('span', { className: 'storage-warn', textContent: `${embeddingLeaks.length} foreign-key embed(s) leak rows` })
+          : null,
+        el('span', { textContent: `RPC functions: ${functions.length}` }),
+        callableFunctions.length
+          ? el('span', { className: 'storage-warn', textContent: `${callableFunctions.length} function(s) callable as anon` })
+          : null,
+        data.edgeFunctions ? el('span', { textContent: `Edge Functions: ${edgeFunctions.length}` }) : null,
+        openEdgeFunctions.length
+          ? el('span', { className: 'storage-warn', textContent: `${openEdgeFunctions.length} Edge Function(s) without JWT check` })
+          : null,
       ].filter(Boolean)),
     ]);
 
@@ -163,7 +257,8 @@ export function initApp(runExtraction) {
           `<strong>${escapeHtml(b.name)}</strong>`,
           ` — Public: ${b.public ? 'Yes' : 'No'}`,
           b.fileSizeLimit != null ? ` — File size limit: ${b.fileSizeLimit}` : '',
-          ` — Indexed objects: ${b.objectCount ?? 0}`,
+          ` — Indexed objects: ${b.objectCount ?? 0}${b.truncated ? ' (partial, limit reached)' : ''}`,
+          b.totalSize != null ? ` — Total size: ${formatBytes(b.totalSize)}` : '',
           b.listError ? ` — Error: ${escapeHtml(b.listError)}` : '',
         ].join('');
         if (b.publicUrlCheck) {
@@ -173,6 +268,45 @@ export function initApp(runExtraction) {
           else if (b.publicUrlCheck.verified > 0) warn.textContent += ' Bucket content may be publicly accessible.';
           div.appendChild(warn);
         }
+        if (b.privateAccessCheck) {
+          const pc = b.privateAccessCheck;
+          const readable = pc.downloaded > 0 || pc.signedUrlsServed > 0 || pc.publicUrlsServed > 0;
+          const check = el('div', { className: readable ? 'storage-warn' : 'note' });
+          check.textContent = `Private access check (${pc.sampleSize} sample objects): downloaded ${pc.downloaded}, signed URLs ${pc.signedUrls} (${pc.signedUrlsServed} served), public URL served ${pc.publicUrlsServed}.`;
+          if (pc.publicUrlsServed > 0) check.textContent += ' Private objects are reachable through the public URL!';
+          if (pc.corsOrNetworkError) check.textContent += ' (Some checks could not be verified due to CORS or network.)';
+          div.appendChild(check);
+        }
+        if (b.extensions || b.mimetypes) {
+          const top = (totals) => Object.entries(totals || {}).sort((x, y) => y[1].count - x[1].count).slice(0, 8).map(([k, t]) => `${k} (${t.count})`).join(', ');
+          div.appendChild(el('div', { className: 'note', textContent: `Extensions: ${top(b.extensions)} · Mimetypes: ${top(b.mimetypes)}` }));
+        }
+        if (b.prefixes && b.prefixes.length) {
+          const table = document.createElement('table');
+          table.innerHTML = '<thead><tr><th>Prefix</th><th>Objects</th><th>Size</th></tr></thead><tbody>' +
+            b.prefixes.slice(0, 10).map((p) => `<tr><td>${escapeHtml(p.prefix)}</td><td>${p.objects}</td><td>${formatBytes(p.size)}</td></tr>`).join('') +
+            '</tbody>';
+          div.appendChild(table);
+        }
+        if (b.writeProbe) {
+          const w = b.writeProbe.permissions;
+          const mark = (v) => (v === true ? 'yes' : v === false ? 'no' : 'unknown');
+          div.appendChild(el('div', {
+            className: w.upload || w.overwrite || w.delete ? 'storage-warn' : 'note',
+            textContent: 'Write probe: ' + ['list', 'read', 'upload', 'overwrite', 'delete'].map((op) => `${op.toUpperCase()} ${mark(w[op])}`).join(' · '),
+          }));
+          b.writeProbe.leftovers.forEach((path) => {
+            div.appendChild(el('div', { className: 'storage-warn', textContent: `Probe object ${path} could not be removed; delete it manually.` }));
+          });
+        }
+        if (b.contentSample) {
+          const cs = b.contentSample;
+          div.appendChild(el('div', { className: 'note', textContent: `Content sample: ${cs.sampled} text object(s) scanned, ${cs.skippedBinary} binary skipped, ${cs.errors} unreadable.` }));
+          cs.objects.forEach((o) => {
+            const found = [...new Set([...o.secretFindings.map((f) => f.secretType), ...o.piiFindings.map((f) => f.piiType)])];
+            div.appendChild(el('div', { className: 'storage-warn', textContent: `${o.path}: ${found.join(', ')}` }));
+          });
+        }
         if (b.samplePaths && b.samplePaths.length) {
           const pre = document.createElement('pre');
           pre.textContent = b.samplePaths.slice(0, 10).join('\n');
@@ -189,12 +323,31 @@ export function initApp(runExtraction) {
       ...tables.map((t) => {
         const fullName = t.table_schema === 'public' ? t.table_name : `${t.table_schema}.${t.table_name}`;
         const header = el('div', { className: 'accordion-header' });
-        header.innerHTML = `${escapeHtml(fullName)} <span style="color:var(--text-muted)">${t.rowCount ?? 0} rows · ${(t.columns || []).length} cols</span>`;
+        const countLabel = t.rowCountMode && t.rowCountMode !== 'exact' ? ` (${t.rowCountMode})` : '';
+        header.innerHTML = `${escapeHtml(fullName)} <span style="color:var(--text-muted)">${t.rowCount ?? 0} rows${countLabel} · ${(t.columns || []).length} cols</span>`;
         const body = el('div', { className: 'accordion-body', style: 'display:none' });
+        if (t.permissions) {
+          const grants = (t.permissionProbe && t.permissionProbe.grants) || {};
+          const mark = (v, verb) => (v === true ? 'yes' : v === false ? 'no' : grants[verb] ? 'grant only' : 'unknown');
+          const perms = el('p', {
+            className: t.permissions.insert || t.permissions.update || t.permissions.delete ? 'storage-warn' : 'note',
+            textContent: `Permissions (${t.permissionProbe?.method || 'noop'} probe): ` +
+              ['select', 'insert', 'update', 'delete'].map((v) => `${v.toUpperCase()} ${mark(t.permissions[v], v)}`).join(' · '),
+          });
+          body.appendChild(perms);
+        }
+        if (t.columnAccess) {
+          body.appendChild(el('p', {
+            className: t.columnAccess.readable.length ? 'storage-warn' : 'note',
+            textContent: `Column privileges: ${t.columnAccess.readable.length} of ${(t.columns || []).length} readable` +
+              (t.columnAccess.denied.length ? ` · denied: ${t.columnAccess.denied.join(', ')}` : ''),
+          }));
+        }
         if (t.columns && t.columns.length) {
           const table = document.createElement('table');
-          table.innerHTML = '<thead><tr><th>Column</th><th>Type</th><th>Nullable</th></tr></thead><tbody>' +
-            t.columns.map((c) => `<tr><td>${escapeHtml(c.column_name)}</td><td>${escapeHtml(c.data_type || '')}</td><td>${c.is_nullable || ''}</td></tr>`).join('') +
+          const keyLabel = (c) => [c.is_primary_key ? 'PK' : '', c.foreign_key ? `FK → ${c.foreign_key.table}.${c.foreign_key.column}` : ''].filter(Boolean).join(', ');
+          table.innerHTML = '<thead><tr><th>Column</th><th>Type</th><th>Nullable</th><th>Default</th><th>Key</th></tr></thead><tbody>' +
+            t.columns.map((c) => `<tr><td>${escapeHtml(c.column_name)}</td><td>${escapeHtml(c.data_type || '')}</td><td>${c.is_nullable || ''}</td><td>${escapeHtml(c.column_default || '')}</td><td>${escapeHtml(keyLabel(c))}</td></tr>`).join('') +
             '</tbody>';
           body.appendChild(table);
         }
@@ -208,6 +361,24 @@ export function initApp(runExtraction) {
       }),
     ]);
 
+    const secretsCard = secretFindings.length
+      ? el('div', { className: 'card' }, [
+        el('h2', { textContent: 'Possible secrets' }),
+        el('p', { className: 'note', textContent: 'Credentials found in sampled rows and storage paths. Evidence is masked; rotate anything confirmed.' }),
+      ])
+      : null;
+    if (secretsCard) {
+      const list = document.createElement('ul');
+      secretFindings.forEach((f) => {
+        const li = document.createElement('li');
+        const detail = [`${f.confidence} confidence`, f.role ? `role ${f.role}` : '', f.expired ? 'expired' : ''].filter(Boolean).join(', ');
+        li.innerHTML = `<span class="pii-badge">${escapeHtml(f.secretType)}</span> ${escapeHtml(f.location)} <span class="note">${escapeHtml(detail)} · ${escapeHtml(f.evidence)}</span>`;
+        if (f.confidence === 'high') li.className = 'storage-warn';
+        list.appendChild(li);
+      });
+      secretsCard.appendChild(list);
+    }
+
     const piiCard = el('div', { className: 'card' }, [
       el('h2', { textContent: 'Tables with suspected PII' }),
       el('p', { className: 'note', textContent: 'These are suspected PII columns for GDPR review. Review and classify in your data governance.' }),
@@ -220,7 +391,10 @@ export function initApp(runExtraction) {
         list.style.marginBottom = '0';
         t.piiFindings.forEach((f) => {
           const li = document.createElement('li');
-          li.innerHTML = `<span class="pii-badge">${escapeHtml(f.piiType)}</span> ${escapeHtml(f.column)}`;
+          const category = f.gdprCategory ? ` <span class="${f.gdprCategory === 'special_category' ? 'storage-warn' : 'note'}">${escapeHtml(f.gdprCategory === 'special_category' ? 'special category (Art. 9)' : f.gdprCategory)}</span>` : '';
+          const valueOnly = f.confidence === 'value_only' ? ' <span class="note">(found in values)</span>' : '';
+          const exposure = f.exposed === false ? ' <span class="note">(column not readable)</span>' : f.exposed ? ' <span class="storage-warn">(readable)</span>' : '';
+          li.innerHTML = `<span class="pii-badge">${escapeHtml(f.piiType)}</span> ${escapeHtml(f.path || f.column)}${category}${valueOnly}${exposure}`;
           if (f.examples && f.examples.length) {
             const ex = document.createElement('div');
             ex.className = 'note';
@@ -235,6 +409,196 @@ export function initApp(runExtraction) {
       }),
     ]);
 
+    const functionsCard = functions.length
+      ? el('div', { className: 'card' }, [
+        el('h2', { textContent: 'RPC functions' }),
+        el('p', { className: 'note', textContent: 'Functions exposed under /rest/v1/rpc. Read-only functions are listed as stable_or_immutable.' }),
+      ])
+      : null;
+    if (functionsCard) {
+      const table = document.createElement('table');
+      table.innerHTML = '<thead><tr><th>Function</th><th>Parameters</th><th>Volatility</th><th>Anon call</th></tr></thead><tbody>' +
+        functions.map((f) => {
+          const params = f.parameters.map((p) => `${p.name}${p.type ? ` ${p.type}` : ''}${p.required ? '' : '?'}`).join(', ');
+          let call = '';
+          if (f.probe && !f.probe.called) call = `<span style="color:var(--text-muted)">skipped</span>`;
+          else if (f.probe) call = f.probe.callable === true ? '<span class="storage-warn">callable</span>' : f.probe.callable === false ? 'denied' : 'undetermined';
+          return `<tr><td>${escapeHtml(f.name)}</td><td>${escapeHtml(params)}</td><td>${escapeHtml(f.volatility)}</td><td>${call}</td></tr>`;
+        }).join('') +
+        '</tbody>';
+      functionsCard.appendChild(table);
+    }
+
+    const graphql = data.graphql;
+    const graphqlCard = graphql && graphql.collections.length
+      ? el('div', { className: 'card' }, [
+        el('h2', { textContent: 'GraphQL exposure' }),
+        el('p', { className: 'note', textContent: 'pg_graphql collections queried with first: 3 through /graphql/v1. Mutations are listed from the schema, not executed.' }),
+      ])
+      : null;
+    if (graphqlCard) {
+      const table = document.createElement('table');
+      table.innerHTML = '<thead><tr><th>Collection</th><th>Type</th><th>Fields</th><th>Relationships</th><th>Rows</th><th>Mutations</th></tr></thead><tbody>' +
+        graphql.collections.map((c) => {
+          const q = c.query || {};
+          let rows = q.readable ? `${q.rows}${q.totalCount != null ? ` of ${q.totalCount}` : ''}${q.columnsReadable ? '' : ' (columns refused)'}` : 'not readable';
+          if (q.readable && q.rows > 0) rows = `<span class="storage-warn">${escapeHtml(rows)}</span>`;
+          const fields = c.fields.map((f) => `${f.name}: ${f.type}`).join(', ');
+          const rels = c.relationships.map((r) => `${r.field} → ${r.target}`).join(', ');
+          const muts = c.mutations.length ? `<span class="storage-warn">${escapeHtml(c.mutations.join(', '))}</span>` : '';
+          return `<tr><td>${escapeHtml(c.field)}</td><td>${escapeHtml(c.type || '')}</td><td>${escapeHtml(fields)}</td><td>${escapeHtml(rels)}</td><td>${rows}</td><td>${muts}</td></tr>`;
+        }).join('') +
+        '</tbody>';
+      graphqlCard.appendChild(table);
+      const other = graphql.mutations.filter((m) => !m.operation);
+      if (other.length) graphqlCard.appendChild(el('p', { className: 'note', textContent: `Other mutations: ${other.map((m) => m.name).join(', ')}` }));
+    }
+
+    const embeddingCard = embedding.length
+      ? el('div', { className: 'card' }, [
+        el('h2', { textContent: 'Relationship embedding' }),
+        el('p', { className: 'note', textContent: 'Each readable table embedded its foreign-key neighbours (select=neighbour!fk_column(*)). A leak is a neighbour whose rows arrive embedded while a direct select is denied or empty.' }),
+      ])
+      : null;
+    if (embeddingCard) {
+      const table = document.createElement('table');
+      table.innerHTML = '<thead><tr><th>From</th><th>Embedded</th><th>Via</th><th>Embedded rows</th><th>Direct select</th></tr></thead><tbody>' +
+        embedding.map((e) => {
+          const from = e.table_schema === 'public' ? e.table : `${e.table_schema}.${e.table}`;
+          const rows = e.error ? `error: ${escapeHtml(e.error)}` : e.leak ? `<span class="storage-warn">${e.embeddedRows} (leak)</span>` : String(e.embeddedRows);
+          const direct = e.direct.readable ? `${e.direct.rows} row(s)` : 'denied';
+          return `<tr><td>${escapeHtml(from)}</td><td>${escapeHtml(e.embedded)}</td><td>${escapeHtml(e.column)}</td><td>${rows}</td><td>${direct}</td></tr>`;
+        }).join('') +
+        '</tbody>';
+      embeddingCard.appendChild(table);
+    }
+
+    const edgeFunctionsCard = edgeFunctions.length
+      ? el('div', { className: 'card' }, [
+        el('h2', { textContent: 'Edge Functions' }),
+        el('p', { className: 'note', textContent: 'Functions found under /functions/v1. A function that answers without credentials was deployed with --no-verify-jwt.' }),
+      ])
+      : null;
+    if (edgeFunctionsCard) {
+      const table = document.createElement('table');
+      table.innerHTML = '<thead><tr><th>Function</th><th>Source</th><th>JWT required</th><th>No credentials</th><th>Anon key</th><th>CORS origin</th></tr></thead><tbody>' +
+        edgeFunctions.map((f) => {
+          const jwt = f.verifyJwt === false ? '<span class="storage-warn">no</span>' : f.verifyJwt ? 'yes' : 'undetermined';
+          return `<tr><td>${escapeHtml(f.name)}</td><td>${escapeHtml(f.source)}</td><td>${jwt}</td><td>${f.status.anonymous}</td><td>${f.status.anon}${f.status.post ? ` (POST ${f.status.post})` : ''}</td><td>${escapeHtml(f.cors ? f.cors.allowOrigin : '')}</td></tr>`;
+        }).join('') +
+        '</tbody>';
+      edgeFunctionsCard.appendChild(table);
+    }
+
+    const realtime = data.realtime;
+    const realtimeCard = realtime
+      ? el('div', { className: 'card' }, [
+        el('h2', { textContent: 'Realtime' }),
+        el('p', {
+          className: 'note',
+          textContent: realtime.connected
+            ? `Listened for ${realtime.windowSeconds}s on ${realtime.tables.length} table subscription(s) and ${realtime.channels.length} public channel(s).`
+            : `Could not connect to Realtime${realtime.error ? `: ${realtime.error}` : ''}.`,
+        }),
+      ])
+      : null;
+    if (realtimeCard && realtime.connected) {
+      const accepted = realtime.tables.filter((t) => t.subscribed || t.events > 0);
+      if (accepted.length) {
+        const table = document.createElement('table');
+        table.innerHTML = '<thead><tr><th>Table</th><th>Subscription</th><th>Change events</th></tr></thead><tbody>' +
+          accepted.map((t) => {
+            const full = t.table_schema === 'public' ? t.table_name : `${t.table_schema}.${t.table_name}`;
+            const events = t.events > 0 ? `<span class="storage-warn">${t.events} (${escapeHtml(t.eventTypes.join(', '))})</span>` : '0';
+            return `<tr><td>${escapeHtml(full)}</td><td>${t.subscribed ? 'accepted' : 'refused'}</td><td>${events}</td></tr>`;
+          }).join('') +
+          '</tbody>';
+        realtimeCard.appendChild(table);
+      }
+      realtime.channels.filter((c) => c.subscribed).forEach((c) => {
+        realtimeCard.appendChild(el('div', {
+          className: c.broadcasts > 0 || c.presenceMembers > 0 ? 'storage-warn' : 'note',
+          textContent: `Channel "${c.channel}": joined, ${c.broadcasts} broadcast(s), ${c.presenceMembers} presence member(s)`,
+        }));
+      });
+      if (realtime.skippedTables > 0) {
+        realtimeCard.appendChild(el('p', { className: 'note', textContent: `${realtime.skippedTables} table(s) not checked (channel limit per connection).` }));
+      }
+    }
+
+    const authAudit = data.authAudit;
+    const authCard = authAudit
+      ? el('div', { className: 'card' }, [
+        el('h2', { textContent: 'Auth settings' }),
+        authAudit.error
+          ? el('p', { className: 'note', textContent: `Could not read /auth/v1/settings: ${authAudit.error}` })
+          : el('div', { className: 'summary-stats' }, [
+            el('span', { textContent: `Providers: ${authAudit.providers.length ? authAudit.providers.join(', ') : 'none'}` }),
+            el('span', { textContent: `Email sign-up: ${authAudit.emailSignup ? 'open' : 'closed'}${authAudit.emailAutoconfirm ? ' (autoconfirm)' : ''}` }),
+            el('span', { textContent: `Phone sign-up: ${authAudit.phoneSignup ? 'open' : 'closed'}${authAudit.phoneAutoconfirm ? ' (autoconfirm)' : ''}` }),
+            el('span', { textContent: `Anonymous sign-ins: ${authAudit.anonymousSignIns ? 'enabled' : 'disabled'}` }),
+          ]),
+        ...(authAudit.warnings || []).map((w) => el('div', { className: 'storage-warn', textContent: w })),
+      ])
+      : null;
+    const signupProbe = authAudit && authAudit.signupProbe;
+    if (authCard && signupProbe) {
+      if (!signupProbe.confirmed) {
+        authCard.appendChild(el('p', { className: 'note', textContent: `Sign-up probe: ${signupProbe.reason || 'no session'}` }));
+      } else {
+        authCard.appendChild(el('p', {
+          className: signupProbe.extraTables.length ? 'storage-warn' : 'note',
+          textContent: `Sign-up probe (${signupProbe.method}): ${signupProbe.extraTables.length} table(s) readable by a fresh account beyond anon` +
+            (signupProbe.extraTables.length ? `: ${signupProbe.extraTables.join(', ')}` : ''),
+        }));
+        if (signupProbe.email) {
+          authCard.appendChild(el('p', { className: 'note', textContent: `Throwaway account ${signupProbe.email} was left in place; delete it from the dashboard.` }));
+        }
+      }
+    }
+
+    const accessMatrix = data.accessMatrix;
+    const accessCard = accessMatrix
+      ? el('div', { className: 'card' }, [
+        el('h2', { textContent: 'Access matrix' }),
+        el('p', { className: 'note', textContent: 'Rows visible to each identity. Flagged rows are visible to one identity but owned by another.' }),
+      ])
+      : null;
+    if (accessCard) {
+      const labels = accessMatrix.identities.filter((i) => !i.error).map((i) => i.label);
+      const failed = accessMatrix.identities.filter((i) => i.error);
+      if (failed.length) {
+        accessCard.appendChild(el('p', { className: 'error', textContent: `Authentication failed: ${failed.map((i) => i.label).join(', ')}` }));
+      }
+      const table = document.createElement('table');
+      table.innerHTML = '<thead><tr><th>Table</th>' + labels.map((l) => `<th>${escapeHtml(l)}</th>`).join('') + '</tr></thead><tbody>' +
+        accessMatrix.tables.map((t) => {
+          const fullName = t.table_schema === 'public' ? t.table_name : `${t.table_schema}.${t.table_name}`;
+          const cells = labels.map((l) => `<td>${t.rowCounts[l] == null ? '<span style="color:var(--text-muted)">denied</span>' : t.rowCounts[l]}</td>`).join('');
+          return `<tr><td>${escapeHtml(fullName)}</td>${cells}</tr>`;
+        }).join('') +
+        '</tbody>';
+      accessCard.appendChild(table);
+      accessMatrix.tables.filter((t) => t.columnAccess && Object.keys(t.columnAccess).length).forEach((t) => {
+        const fullName = t.table_schema === 'public' ? t.table_name : `${t.table_schema}.${t.table_name}`;
+        Object.entries(t.columnAccess).forEach(([label, access]) => {
+          accessCard.appendChild(el('div', {
+            className: 'note',
+            textContent: `${fullName}: ${label} can read ${access.readable.join(', ') || 'no columns'}${access.denied.length ? ` (denied: ${access.denied.join(', ')})` : ''}`,
+          }));
+        });
+      });
+      accessMatrix.tables.filter((t) => t.crossOwnership.length).forEach((t) => {
+        const fullName = t.table_schema === 'public' ? t.table_name : `${t.table_schema}.${t.table_name}`;
+        t.crossOwnership.forEach((c) => {
+          accessCard.appendChild(el('div', {
+            className: 'storage-warn',
+            textContent: `${fullName}: ${c.viewer} can see ${c.rows} row(s) owned by ${c.owner} (${c.column})`,
+          }));
+        });
+      });
+    }
+
     const deeperCard = el('div', { className: 'card' }, [
       el('h2', { textContent: 'Deeper output' }),
       el('div', { className: 'tabs' }, [
@@ -243,6 +607,9 @@ export function initApp(runExtraction) {
         ...(data.exportSqlContent
           ? [el('button', { className: 'btn', textContent: 'Download SQL', id: 'download-sql-deeper' })]
           : []),
+        ...(data.dumpContent
+          ? [el('button', { className: 'btn', textContent: 'Download dump', id: 'download-dump-deeper' })]
+          : []),
       ]),
       el('div', { id: 'panel-log' }, [
         el('pre', { textContent: discoveryLog.join('\n') }),
@@ -287,6 +654,55 @@ export function initApp(runExtraction) {
       });
     }
 
+    const dumpBtnDeeper = deeperCard.querySelector('#download-dump-deeper');
+    if (dumpBtnDeeper && data.dumpContent) {
+      dumpBtnDeeper.addEventListener('click', () => {
+        const blob = new Blob([data.dumpContent], { type: 'application/x-ndjson;charset=utf-8' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = data.dumpFilename || 'dump.ndjson';
+        a.click();
+        URL.revokeObjectURL(a.href);
+      });
+    }
+
+    const compareCard = diffScans
+      ? el('div', { className: 'card' }, [
+        el('h2', { textContent: 'Compare with previous scan' }),
+        el('p', { className: 'note', textContent: 'Upload a scan-result.json from an earlier scan to see what changed.' }),
+      ])
+      : null;
+    if (compareCard) {
+      const fileInput = document.createElement('input');
+      fileInput.type = 'file';
+      fileInput.accept = 'application/json,.json';
+      const diffOutput = el('div', { id: 'diff-output' });
+      compareCard.appendChild(fileInput);
+      compareCard.appendChild(diffOutput);
+      fileInput.addEventListener('change', async () => {
+        const file = fileInput.files && fileInput.files[0];
+        if (!file) return;
+        diffOutput.innerHTML = '';
+        let previous;
+        try {
+          previous = JSON.parse(await file.text());
+        } catch (err) {
+          diffOutput.appendChild(el('div', { className: 'storage-warn', textContent: `Could not read ${file.name}: ${err.message}` }));
+          return;
+        }
+        const diff = diffScans(previous, data);
+        diffOutput.appendChild(el('pre', { textContent: formatDiffSummary(diff) }));
+        const diffBtn = el('button', { className: 'btn', textContent: 'Download diff JSON' });
+        diffBtn.addEventListener('click', () => {
+          const a = document.createElement('a');
+          a.href = 'data:application/json;charset=utf-8,' + encodeURIComponent(JSON.stringify(diff, null, 2));
+          a.download = 'scan-diff.json';
+          a.click();
+        });
+        diffOutput.appendChild(diffBtn);
+      });
+    }
+
     const newScanBtn = el('button', { className: 'btn', textContent: 'New scan', id: 'new-scan-btn' });
     newScanBtn.addEventListener('click', () => {
       resultsSection.classList.add('hidden');
@@ -296,9 +712,18 @@ export function initApp(runExtraction) {
 
     resultsSection.innerHTML = '';
     resultsSection.appendChild(summary);
+    if (authCard) resultsSection.appendChild(authCard);
     resultsSection.appendChild(storageCard);
     resultsSection.appendChild(tablesCard);
+    if (secretsCard) resultsSection.appendChild(secretsCard);
     resultsSection.appendChild(piiCard);
+    if (graphqlCard) resultsSection.appendChild(graphqlCard);
+    if (embeddingCard) resultsSection.appendChild(embeddingCard);
+    if (functionsCard) resultsSection.appendChild(functionsCard);
+    if (edgeFunctionsCard) resultsSection.appendChild(edgeFunctionsCard);
+    if (accessCard) resultsSection.appendChild(accessCard);
+    if (realtimeCard) resultsSection.appendChild(realtimeCard);
+    if (compareCard) resultsSection.appendChild(compareCard);
     resultsSection.appendChild(deeperCard);
     resultsSection.appendChild(resultsFooter);
   }
@@ -0,0 +1,73 @@
+/**
+ * Auth (GoTrue) configuration audit from the public /auth/v1/settings endpoint:
+ * enabled providers, open sign-up, autoconfirm, anonymous and phone sign-ins.
+ */
+
+/** Keys of `external` that are not OAuth/SSO providers. */
+const NON_PROVIDER_KEYS = new Set(['email', 'phone', 'anonymous_users', 'saml']);
+
+/**
+ * @param {object} settings raw /auth/v1/settings body
+ * @returns {{ providers: string[], signupDisabled: boolean, emailSignup: boolean, emailAutoconfirm: boolean, phoneSignup: boolean, phoneAutoconfirm: boolean, anonymousSignIns: boolean, samlEnabled: boolean, warnings: string[] }}
+ */
+function summarizeAuthSettings(settings) {
+  const external = settings?.external || {};
+  const signupDisabled = settings?.disable_signup === true;
+  const summary = {
+    providers: Object.entries(external)
+      .filter(([name, enabled]) => enabled === true && !NON_PROVIDER_KEYS.has(name))
+      .map(([name]) => name)
+      .sort(),
+    signupDisabled,
+    emailSignup: external.email === true && !signupDisabled,
+    emailAutoconfirm: settings?.mailer_autoconfirm === true,
+    phoneSignup: external.phone === true && !signupDisabled,
+    phoneAutoconfirm: settings?.phone_autoconfirm === true,
+    // Newer GoTrue lists anonymous sign-ins under `external`; older builds put the flag at the top level.
+    anonymousSignIns: external.anonymous_users === true || settings?.anonymous_users === true,
+    samlEnabled: settings?.saml_enabled === true || external.saml === true,
+    warnings: [],
+  };
+
+  if (summary.emailSignup) {
+    summary.warnings.push(summary.emailAutoconfirm
+      ? 'Email sign-up is open and autoconfirmed: anyone can get an authenticated session instantly.'
+      : 'Email sign-up is open: anyone with a mailbox can become an authenticated user.');
+  }
+  if (summary.phoneSignup) {
+    summary.warnings.push(`Phone sign-up is open${summary.phoneAutoconfirm ? ' and autoconfirmed' : ''}.`);
+  }
+  if (summary.anonymousSignIns) {
+    summary.warnings.push('Anonymous sign-ins are enabled: anonymous users get the authenticated role unless RLS checks is_anonymous.');
+  }
+  return summary;
+}
+
+/**
+ * @returns {Promise<ReturnType<typeof summarizeAuthSettings> & { error?: string }>}
+ */
+async function auditAuthSettings(supabase, log) {
+  log('\n🛂 Auth settings audit...');
+  try {
+    const response = await supabase.fetch(`${supabase.supabaseUrl}/auth/v1/settings`, {
+      headers: { apikey: supabase.supabaseKey },
+    });
+    if (!response.ok) {
+      log(`   ❌ Could not read /auth/v1/settings (HTTP ${response.status})`);
+      return { ...summarizeAuthSettings({}), error: `HTTP ${response.status}` };
+    }
+    const summary = summarizeAuthSettings(await response.json());
+    const yesNo = (v) => (v ? 'yes' : 'no');
+    log(`   Providers: ${summary.providers.length ? summary.providers.join(', ') : 'none'}${summary.samlEnabled ? ' (+ SAML)' : ''}`);
+    log(`   Email sign-up: ${summary.emailSignup ? 'open' : 'closed'} (autoconfirm: ${yesNo(summary.emailAutoconfirm)})`);
+    log(`   Phone sign-up: ${summary.phoneSignup ? 'open' : 'closed'} (autoconfirm: ${yesNo(summary.phoneAutoconfirm)})`);
+    log(`   Anonymous sign-ins: ${summary.anonymousSignIns ? 'enabled' : 'disabled'}`);
+    summary.warnings.forEach((w) => log(`   ⚠️  ${w}`));
+    return summary;
+  } catch (error) {
+    log(`   ❌ Auth settings audit failed: ${error.message}`);
+    return { ...summarizeAuthSettings({}), error: error.message };
+  }
+}
+
+export { auditAuthSettings, summarizeAuthSettings };
@@ -0,0 +1,71 @@
+/**
+ * Column privilege probing: when `select=*` is refused because some columns were REVOKEd,
+ * bisects the known column list with explicit selects to find which columns are readable.
+ */
+
+import { DENIED_CODES } from './write-probe.js';
+
+/**
+ * Privilege errors from PostgREST; anything else (missing table, network, a bad or expired
+ * JWT) is not a column problem and stays undetermined.
+ */
+function isPermissionDenied(error) {
+  return Boolean(error) && (DENIED_CODES.has(error.code) || (!error.code && /permission denied/i.test(error.message || '')));
+}
+
+/** Names outside plain identifiers need double quotes in PostgREST's select list. */
+const quoteColumn = (name) => (/^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : `"${name.replace(/"/g, '""')}"`);
+
+/** PostgREST select list for the given columns. */
+const selectList = (columns) => columns.map(quoteColumn).join(',');
+
+/**
+ * Splits refused groups in half until single columns are left, so a table with a few
+ * revoked columns costs a handful of requests rather than one per column. 42501 reads the
+ * same for a table-level denial and a column REVOKE, so the primary key (or first column)
+ * is probed alone and the rest in two halves first: when all of those are refused, the
+ * table is reported as denied instead of every column.
+ * @param {object} supabase
+ * @param {string} tableRef name passed to `supabase.from()`
+ * @param {string[]} columnNames known columns (OpenAPI or information_schema)
+ * @param {string} [primaryKey]
+ * @returns {Promise<{ tableDenied: boolean, readable: string[], denied: string[], undetermined: string[] }>}
+ */
+async function probeColumnAccess(supabase, tableRef, columnNames, primaryKey) {
+  const out = { readable: [], denied: [], undetermined: [] };
+  const request = async (group) => {
+    try {
+      const { error } = await supabase.from(tableRef).select(selectList(group)).limit(1);
+      return error;
+    } catch (err) {
+      return { message: err.message };
+    }
+  };
+  const halves = (group) => {
+    const middle = Math.ceil(group.length / 2);
+    return [group.slice(0, middle), group.slice(middle)].filter((g) => g.length > 0);
+  };
+  const settle = async (group, error) => {
+    if (!error) {
+      out.readable.push(...group);
+      return;
+    }
+    if (group.length === 1) {
+      (isPermissionDenied(error) ? out.denied : out.undetermined).push(group[0]);
+      return;
+    }
+    await Promise.all(halves(group).map(async (half) => settle(half, await request(half))));
+  };
+
+  if (columnNames.length === 0) return { tableDenied: false, ...out };
+  const first = columnNames.includes(primaryKey) ? primaryKey : columnNames[0];
+  const rest = halves(columnNames.filter((c) => c !== first));
+  const [firstError, ...restErrors] = await Promise.all([request([first]), ...rest.map(request)]);
+  if (isPermissionDenied(firstError) && restErrors.every(isPermissionDenied)) return { tableDenied: true, ...out };
+  await Promise.all([settle([first], firstError), ...rest.map((group, i) => settle(group, restErrors[i]))]);
+  // Keep the table's column order rather than the order requests finished in.
+  const order = (list) => columnNames.filter((c) => list.includes(c));
+  return { tableDenied: false, readable: order(out.readable), denied: order(out.denied), undetermined: order(out.undetermined) };
+}
+
+export { isPermissionDenied, probeColumnAccess, selectList };
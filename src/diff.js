@@ -0,0 +1,124 @@
+/**
+ * Baseline diff between two runExtraction results (e.g. last week's scan and today's):
+ * table exposure, columns, row counts, PII findings and bucket exposure.
+ */
+
+const DEFAULT_ROW_COUNT_THRESHOLD = 0.2;
+const MIN_ROW_DELTA = 10;
+
+const tableKey = (t) => `${t.table_schema || 'public'}.${t.table_name}`;
+const piiKey = (table, f) => `${table}.${f.path || f.column}:${f.piiType}`;
+
+function indexBy(items, keyFn) {
+  const map = new Map();
+  for (const item of items || []) map.set(keyFn(item), item);
+  return map;
+}
+
+/**
+ * @param {object} before earlier scan result
+ * @param {object} after later scan result
+ * @param {{ rowCountThreshold?: number }} [options] relative change reported as a row count swing
+ */
+function diffScans(before, after, options = {}) {
+  const threshold = options.rowCountThreshold ?? DEFAULT_ROW_COUNT_THRESHOLD;
+  const oldTables = indexBy(before.tables, tableKey);
+  const newTables = indexBy(after.tables, tableKey);
+  const readable = (t) => t && !t.error;
+
+  const diff = {
+    tables: { exposed: [], hidden: [], columnsAdded: [], columnsRemoved: [], rowCountChanges: [] },
+    pii: { added: [], removed: [] },
+    buckets: { added: [], removed: [], publicChanged: [], reachableChanged: [] },
+  };
+
+  for (const key of new Set([...oldTables.keys(), ...newTables.keys()])) {
+    const was = oldTables.get(key);
+    const now = newTables.get(key);
+    if (readable(now) && !readable(was)) diff.tables.exposed.push(key);
+    if (readable(was) && !readable(now)) diff.tables.hidden.push(key);
+
+    if (was?.columns && now?.columns) {
+      const oldCols = new Set(was.columns.map((c) => c.column_name));
+      const newCols = new Set(now.columns.map((c) => c.column_name));
+      const added = [...newCols].filter((c) => !oldCols.has(c));
+      const removed = [...oldCols].filter((c) => !newCols.has(c));
+      if (added.length) diff.tables.columnsAdded.push({ table: key, columns: added });
+      if (removed.length) diff.tables.columnsRemoved.push({ table: key, columns: removed });
+    }
+
+    if (readable(was) && readable(now)) {
+      const a = was.rowCount ?? 0;
+      const b = now.rowCount ?? 0;
+      const delta = b - a;
+      const ratio = a === 0 ? (b === 0 ? 0 : Infinity) : Math.abs(delta) / a;
+      if (delta !== 0 && Math.abs(delta) >= MIN_ROW_DELTA && ratio >= threshold) {
+        diff.tables.rowCountChanges.push({ table: key, before: a, after: b, delta, ratio: Number.isFinite(ratio) ? Number(ratio.toFixed(3)) : null });
+      }
+    }
+  }
+
+  const collectPii = (result) => {
+    const map = new Map();
+    for (const t of result.tables || []) {
+      if (t.error) continue;
+      for (const f of t.piiFindings || []) map.set(piiKey(tableKey(t), f), { table: tableKey(t), column: f.path || f.column, piiType: f.piiType });
+    }
+    return map;
+  };
+  const oldPii = collectPii(before);
+  const newPii = collectPii(after);
+  for (const [key, f] of newPii) if (!oldPii.has(key)) diff.pii.added.push(f);
+  for (const [key, f] of oldPii) if (!newPii.has(key)) diff.pii.removed.push(f);
+
+  const oldBuckets = indexBy(before.storage?.buckets, (b) => b.name);
+  const newBuckets = indexBy(after.storage?.buckets, (b) => b.name);
+  // Public buckets record publicUrlCheck; private ones serving objects by public URL record privateAccessCheck.
+  const reachable = (b) => (b?.publicUrlCheck?.verified ?? 0) > 0 || (b?.privateAccessCheck?.publicUrlsServed ?? 0) > 0;
+  for (const [name, now] of newBuckets) {
+    const was = oldBuckets.get(name);
+    if (!was) {
+      diff.buckets.added.push({ bucket: name, public: Boolean(now.public) });
+      continue;
+    }
+    if (Boolean(was.public) !== Boolean(now.public)) diff.buckets.publicChanged.push({ bucket: name, before: Boolean(was.public), after: Boolean(now.public) });
+    if (reachable(was) !== reachable(now)) diff.buckets.reachableChanged.push({ bucket: name, before: reachable(was), after: reachable(now) });
+  }
+  for (const name of oldBuckets.keys()) if (!newBuckets.has(name)) diff.buckets.removed.push({ bucket: name });
+
+  diff.summary = {
+    tablesExposed: diff.tables.exposed.length,
+    tablesHidden: diff.tables.hidden.length,
+    tablesWithColumnChanges: new Set([...diff.tables.columnsAdded, ...diff.tables.columnsRemoved].map((c) => c.table)).size,
+    rowCountChanges: diff.tables.rowCountChanges.length,
+    piiAdded: diff.pii.added.length,
+    piiRemoved: diff.pii.removed.length,
+    bucketChanges: diff.buckets.added.length + diff.buckets.removed.length + diff.buckets.publicChanged.length + diff.buckets.reachableChanged.length,
+  };
+  diff.hasChanges = Object.values(diff.summary).some((n) => n > 0);
+  return diff;
+}
+
+/** Readable text summary of diffScans() output, one line per change. */
+function formatDiffSummary(diff) {
+  const lines = ['🔍 Scan comparison'];
+  if (!diff.hasChanges) {
+    lines.push('   No changes between the two scans.');
+    return lines.join('\n');
+  }
+  const yesNo = (v) => (v ? 'yes' : 'no');
+  diff.tables.exposed.forEach((t) => lines.push(`   ⚠️  Newly exposed table: ${t}`));
+  diff.tables.hidden.forEach((t) => lines.push(`   ✅ No longer readable: ${t}`));
+  diff.tables.columnsAdded.forEach((c) => lines.push(`   ➕ ${c.table}: columns added ${c.columns.join(', ')}`));
+  diff.tables.columnsRemoved.forEach((c) => lines.push(`   ➖ ${c.table}: columns removed ${c.columns.join(', ')}`));
+  diff.tables.rowCountChanges.forEach((c) => lines.push(`   ${c.delta > 0 ? '📈' : '📉'} ${c.table}: rows ${c.before} -> ${c.after} (${c.delta > 0 ? '+' : ''}${c.delta})`));
+  diff.pii.added.forEach((f) => lines.push(`   ⚠️  New PII: ${f.table}.${f.column} (${f.piiType})`));
+  diff.pii.removed.forEach((f) => lines.push(`   ✅ PII no longer seen: ${f.table}.${f.column} (${f.piiType})`));
+  diff.buckets.added.forEach((b) => lines.push(`   ➕ New bucket: ${b.bucket}${b.public ? ' (public)' : ''}`));
+  diff.buckets.removed.forEach((b) => lines.push(`   ➖ Bucket no longer listed: ${b.bucket}`));
+  diff.buckets.publicChanged.forEach((b) => lines.push(`   ${b.after ? '⚠️ ' : '✅'} Bucket ${b.bucket}: public ${yesNo(b.before)} -> ${yesNo(b.after)}`));
+  diff.buckets.reachableChanged.forEach((b) => lines.push(`   ${b.after ? '⚠️ ' : '✅'} Bucket ${b.bucket}: public URLs reachable ${yesNo(b.before)} -> ${yesNo(b.after)}`));
+  return lines.join('\n');
+}
+
+export { diffScans, formatDiffSummary };
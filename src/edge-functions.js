@@ -0,0 +1,136 @@
+/**
+ * Edge Functions discovery under /functions/v1: tries a wordlist of common function names
+ * plus names referenced by the OpenAPI spec and GraphQL types, and checks each one with
+ * OPTIONS and a GET without credentials and with the anon key (verify_jwt, CORS, status).
+ */
+
+import { mapInBatches } from './util.js';
+
+const MAX_CANDIDATES = 250;
+const BATCH_SIZE = 20;
+const MAX_BODY_CHARS = 300;
+const PROBE_ORIGIN = 'https://supamole.invalid';
+
+const COMMON_FUNCTIONS = [
+  'hello', 'hello-world', 'main', 'api', 'test', 'debug', 'health', 'status', 'ping', 'proxy', 'graphql',
+  'webhook', 'webhooks', 'stripe-webhook', 'stripe', 'checkout', 'create-checkout-session', 'create-checkout', 'customer-portal',
+  'create-portal-session', 'payment', 'payments', 'process-payment', 'create-payment-intent', 'paypal', 'subscription', 'subscriptions',
+  'send-email', 'email', 'emails', 'mailer', 'send-mail', 'resend', 'sendgrid', 'newsletter', 'subscribe', 'unsubscribe', 'contact', 'contact-form',
+  'send-sms', 'sms', 'twilio', 'notify', 'notification', 'notifications', 'send-notification', 'push', 'push-notification',
+  'slack', 'discord', 'telegram', 'invite', 'invite-user', 'create-user', 'get-user', 'update-user', 'delete-user', 'delete-account',
+  'admin', 'users', 'auth', 'login', 'signup', 'register', 'reset-password', 'verify', 'verify-email', 'callback', 'oauth', 'oauth-callback',
+  'openai', 'ai', 'chat', 'chatbot', 'completion', 'chat-completion', 'generate', 'embed', 'embeddings', 'search', 'summarize', 'translate', 'transcribe',
+  'upload', 'resize-image', 'image', 'images', 'thumbnail', 'generate-pdf', 'pdf', 'export', 'import', 'sync', 'cron', 'scheduled', 'cleanup',
+  'analytics', 'track', 'report', 'reports', 'geocode', 'weather', 'og-image',
+];
+
+/** Gateway replies for an unknown function (hosted: 404 NOT_FOUND; local edge-runtime words it differently). */
+const isMissing = (r) => r.status === 404 && /NOT_FOUND|function (was )?not found|could not find function/i.test(r.text || '');
+/** Gateway replies when verify_jwt rejects the call before the function runs. */
+const isJwtRejection = (r) => r.status === 401 && /missing authorization header|invalid jwt|jwt (is )?expired/i.test(r.text || '');
+
+const toKebab = (name) => name.replace(/_/g, '-');
+
+/**
+ * Wordlist names first, then RPC names, explicit /functions/v1/<name> references in the
+ * spec and GraphQL table names, each also in kebab-case (the usual function naming).
+ * @returns {Array<{ name: string, source: 'wordlist' | 'openapi' | 'graphql' }>}
+ */
+function edgeFunctionCandidates(openApiSpec, tables = []) {
+  const candidates = new Map(COMMON_FUNCTIONS.map((name) => [name, 'wordlist']));
+  const add = (name, source) => {
+    for (const variant of [name, toKebab(name)]) {
+      if (/^[A-Za-z0-9_-]+$/.test(variant) && !candidates.has(variant)) candidates.set(variant, source);
+    }
+  };
+  if (openApiSpec) {
+    for (const match of JSON.stringify(openApiSpec).matchAll(/functions\/v1\/([A-Za-z0-9_-]+)/g)) add(match[1], 'openapi');
+    for (const path of Object.keys(openApiSpec.paths || {})) {
+      if (path.startsWith('/rpc/')) add(path.substring('/rpc/'.length), 'openapi');
+    }
+  }
+  for (const t of tables) {
+    if (t.graphql_type) add(t.table_name, 'graphql');
+  }
+  return [...candidates.entries()].slice(0, MAX_CANDIDATES).map(([name, source]) => ({ name, source }));
+}
+
+async function call(request, url, init) {
+  try {
+    const response = await request(url, init);
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, text: text.slice(0, MAX_BODY_CHARS) };
+  } catch (error) {
+    return { status: 0, headers: null, text: '', error: error.message };
+  }
+}
+
+function corsFrom(...responses) {
+  const res = responses.find((r) => r.headers?.get('access-control-allow-origin'));
+  if (!res) return undefined;
+  return {
+    allowOrigin: res.headers.get('access-control-allow-origin'),
+    allowMethods: res.headers.get('access-control-allow-methods') || undefined,
+    allowHeaders: res.headers.get('access-control-allow-headers') || undefined,
+    allowCredentials: res.headers.get('access-control-allow-credentials') === 'true' || undefined,
+  };
+}
+
+/**
+ * A GET carries no body, so it is the call least likely to trigger side effects. POST with
+ * an empty JSON object is only sent when the function rejects GET with 405.
+ * @returns {Promise<{ name: string, source: string, exists: boolean, verifyJwt?: boolean | null, status: { options: number, anonymous: number, anon: number, post?: number }, cors?: { allowOrigin: string, allowMethods?: string, allowHeaders?: string, allowCredentials?: boolean }, contentType?: string, error?: string }>}
+ */
+async function probeEdgeFunction(supabase, candidate, request) {
+  const url = `${supabase.supabaseUrl}/functions/v1/${encodeURIComponent(candidate.name)}`;
+  const anonHeaders = { Origin: PROBE_ORIGIN, apikey: supabase.supabaseKey, Authorization: `Bearer ${supabase.supabaseKey}` };
+  const options = await call(request, url, {
+    method: 'OPTIONS',
+    headers: { Origin: PROBE_ORIGIN, 'Access-Control-Request-Method': 'POST', 'Access-Control-Request-Headers': 'authorization, apikey, content-type' },
+  });
+  const anon = await call(request, url, { method: 'GET', headers: anonHeaders });
+  const out = { name: candidate.name, source: candidate.source, exists: false, status: { options: options.status, anonymous: undefined, anon: anon.status } };
+  if (anon.status === 0 || isMissing(anon) || isMissing(options)) {
+    if (anon.error) out.error = anon.error;
+    return out;
+  }
+
+  const anonymous = await call(request, url, { method: 'GET', headers: { Origin: PROBE_ORIGIN } });
+  out.status.anonymous = anonymous.status;
+  // With a rejected key every name gets the gateway 401; only a preflight answer proves the function exists.
+  const preflightOk = options.status >= 200 && options.status < 300;
+  if (isJwtRejection(anon) && isJwtRejection(anonymous) && !preflightOk) return out;
+  out.exists = true;
+  if (anon.status === 405) {
+    const post = await call(request, url, { method: 'POST', headers: { ...anonHeaders, 'Content-Type': 'application/json' }, body: '{}' });
+    out.status.post = post.status;
+  }
+  // Any answer other than the gateway's 401 means the function itself ran without a JWT.
+  out.verifyJwt = anonymous.status === 0 ? null : isJwtRejection(anonymous);
+  out.cors = corsFrom(options, anon, anonymous);
+  out.contentType = anon.headers?.get('content-type') || undefined;
+  return out;
+}
+
+/**
+ * @param {object} supabase client (for the project URL and anon key)
+ * @param {{ openApiSpec?: object, tables?: Array<{ table_name: string, graphql_type?: string }>, request?: typeof fetch }} sources
+ * @param {(msg: string) => void} log
+ * @returns {Promise<Array<Awaited<ReturnType<typeof probeEdgeFunction>>>>} functions that exist
+ */
+async function discoverEdgeFunctions(supabase, sources, log) {
+  const candidates = edgeFunctionCandidates(sources.openApiSpec, sources.tables);
+  const request = sources.request || fetch;
+  log(`\n⚡ Edge Functions: probing ${candidates.length} candidate name(s) under /functions/v1...`);
+  const results = await mapInBatches(candidates, BATCH_SIZE, (candidate) => probeEdgeFunction(supabase, candidate, request));
+  const found = results.filter((f) => f.exists);
+  for (const f of found) {
+    const jwt = f.verifyJwt === false ? '⚠️  no JWT required' : f.verifyJwt ? '🔒 JWT required' : '❔ JWT undetermined';
+    const cors = f.cors ? `, CORS ${f.cors.allowOrigin}${f.cors.allowCredentials ? ' (credentials)' : ''}` : '';
+    log(`   ${jwt}: ${f.name} [${f.source}] - no credentials HTTP ${f.status.anonymous}, anon key HTTP ${f.status.anon}${cors}`);
+  }
+  log(`   Edge Functions completed: ${found.length} found, ${found.filter((f) => f.verifyJwt === false).length} callable without a JWT.`);
+  return found;
+}
+
+export { discoverEdgeFunctions, edgeFunctionCandidates };
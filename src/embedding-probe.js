@@ -0,0 +1,102 @@
+/**
+ * Relationship embedding check: for each readable table, embeds every FK neighbour
+ * (`select=neighbour!fk_column(*)`) and flags neighbours whose rows come back through the
+ * embed although a direct select on them is denied or returns nothing.
+ */
+
+import { mapInBatches } from './util.js';
+
+const DEFAULT_SAMPLE_SIZE = 10;
+const BATCH_SIZE = 20;
+const MAX_ERROR_CHARS = 200;
+
+const fullName = (schema, name) => (schema === 'public' ? name : `${schema}.${name}`);
+
+/**
+ * Outgoing FKs give many-to-one embeds from the referencing table; the same FK read the
+ * other way gives a one-to-many embed from the referenced table. Embeds stay in one schema.
+ * @param {Array<{ table_name: string, table_schema?: string, relationships?: Array<{ column: string, references: { table: string, column: string } }> }>} tables
+ * @returns {Array<{ schema: string, from: string, to: string, column: string, kind: 'many_to_one' | 'one_to_many' }>}
+ */
+function embeddingEdges(tables) {
+  const edges = [];
+  for (const t of tables) {
+    const schema = t.table_schema || 'public';
+    for (const rel of t.relationships || []) {
+      edges.push({ schema, from: t.table_name, to: rel.references.table, column: rel.column, kind: 'many_to_one' });
+      if (rel.references.table !== t.table_name) {
+        edges.push({ schema, from: rel.references.table, to: t.table_name, column: rel.column, kind: 'one_to_many' });
+      }
+    }
+  }
+  return edges;
+}
+
+/** Embedded values are an object (or null) for many-to-one and an array for one-to-many. */
+function countEmbeddedRows(rows, key) {
+  return (rows || []).reduce((n, row) => {
+    const value = row?.[key];
+    return n + (Array.isArray(value) ? value.length : value ? 1 : 0);
+  }, 0);
+}
+
+/**
+ * @param {object} supabase scan client
+ * @param {Array<{ table_name: string, table_schema?: string, relationships?: Array<{}>, rowCount?: number, error?: string | null }>} tables extracted tables (direct access results are reused)
+ * @param {(msg: string) => void} log
+ * @param {{ sampleSize?: number }} [options]
+ * @returns {Promise<Array<{ table: string, table_schema: string, embedded: string, column: string, kind: 'many_to_one' | 'one_to_many', embeddedRows: number, direct: { readable: boolean, rows: number, error?: string }, leak: boolean, error?: string }>>}
+ */
+async function probeEmbeddedRelations(supabase, tables, log, options = {}) {
+  const sampleSize = Number(options.sampleSize) > 0 ? Number(options.sampleSize) : DEFAULT_SAMPLE_SIZE;
+  const known = new Map(tables.map((t) => [fullName(t.table_schema || 'public', t.table_name), t]));
+  const fromSchema = (schema) => (schema === 'public' ? supabase : supabase.schema(schema));
+  // Only tables that returned rows directly can carry embedded rows.
+  const edges = embeddingEdges(tables).filter((e) => {
+    const from = known.get(fullName(e.schema, e.from));
+    return from && !from.error && from.rowCount > 0;
+  });
+  if (edges.length === 0) return [];
+  log(`\n🧬 Relationship embedding: ${edges.length} embedded select(s) across foreign keys...`);
+
+  // Neighbours missing from the table list (e.g. not in the OpenAPI spec) get one direct select.
+  const direct = new Map();
+  const directAccess = (schema, name) => {
+    const key = fullName(schema, name);
+    if (!direct.has(key)) {
+      const t = known.get(key);
+      direct.set(key, t
+        ? Promise.resolve({ readable: !t.error, rows: t.error ? 0 : t.rowCount ?? 0, error: t.error || undefined })
+        : fromSchema(schema).from(name).select('*').limit(1).then(
+          ({ data, error }) => ({ readable: !error, rows: data?.length ?? 0, error: error?.message }),
+          (error) => ({ readable: false, rows: 0, error: error.message }),
+        ));
+    }
+    return direct.get(key);
+  };
+
+  const probes = await mapInBatches(edges, BATCH_SIZE, async (e) => {
+    const out = { table: e.from, table_schema: e.schema, embedded: e.to, column: e.column, kind: e.kind, embeddedRows: 0 };
+    try {
+      // The column hint picks the FK when two tables are related more than once.
+      const { data, error } = await fromSchema(e.schema).from(e.from).select(`${e.to}!${e.column}(*)`).limit(sampleSize);
+      if (error) out.error = error.message.slice(0, MAX_ERROR_CHARS);
+      else out.embeddedRows = countEmbeddedRows(data, e.to);
+    } catch (error) {
+      out.error = error.message.slice(0, MAX_ERROR_CHARS);
+    }
+    out.direct = await directAccess(e.schema, e.to);
+    out.leak = out.embeddedRows > 0 && (!out.direct.readable || out.direct.rows === 0);
+    return out;
+  });
+
+  for (const p of probes.filter((x) => x.leak)) {
+    const why = p.direct.readable ? 'direct select returns no rows' : `direct select denied${p.direct.error ? ` (${p.direct.error})` : ''}`;
+    log(`   🚨 ${fullName(p.table_schema, p.table)} -> ${p.embedded} via ${p.column}: ${p.embeddedRows} embedded row(s), ${why}`);
+  }
+  const embedded = probes.filter((p) => p.embeddedRows > 0).length;
+  log(`   Relationship embedding completed: ${embedded} embed(s) returned rows, ${probes.filter((p) => p.leak).length} leak(s).`);
+  return probes;
+}
+
+export { embeddingEdges, probeEmbeddedRelations };
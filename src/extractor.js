@@ -4,11 +4,34 @@
  */
 
 import { createClient } from '@supabase/supabase-js';
-import { detectPII } from './pii-detection.js';
+import { auditAuthSettings } from './auth-audit.js';
+import { inspectCredentials } from './key-inspection.js';
+import { detectPII, withCustomRules } from './pii-detection.js';
+import { detectSecrets, detectSecretsInPaths } from './secret-detection.js';
+import { walkBucket } from './storage-walker.js';
+import { sampleBucketContent } from './storage-content.js';
+import { probeBucketWrites } from './storage-write-probe.js';
+import { checkRollbackSupport, probeTablePermissions } from './write-probe.js';
+import { parseRpcFunctions, probeRpcFunctions } from './rpc-functions.js';
+import { mergeKeyMetadata, parseOpenApiColumns, relationshipsFromColumns } from './openapi-schema.js';
+import { createRequestScheduler } from './scheduler.js';
+import { discoverEdgeFunctions } from './edge-functions.js';
+import { introspectGraphql, probeGraphqlCollections } from './graphql-introspection.js';
+import { checkRealtimeExposure } from './realtime-check.js';
+import { probeEmbeddedRelations } from './embedding-probe.js';
+import { isPermissionDenied, probeColumnAccess, selectList } from './column-access.js';
+import { discoverSchemas } from './schema-discovery.js';
+import { discoverTablesByWordlist, resolveWordlists } from './table-wordlists.js';
+import { formatBytes, randomId } from './util.js';
 
-const STORAGE_INDEX_LIMIT = 2000;
 const STORAGE_PUBLIC_VERIFY_SAMPLE = 5;
 const SAMPLE_ROWS_COUNT = 3;
+const COUNT_MODES = ['exact', 'planned', 'estimated'];
+const DUMP_PAGE_SIZE = 1000;
+const DUMP_ROW_LIMIT = 10000;
+
+/** Query builder for a schema: non-public schemas are selected with Accept-Profile. */
+const schemaClient = (supabase, schema) => (!schema || schema === 'public' ? supabase : supabase.schema(schema));
 
 async function authenticateUser(supabase, email, password, token, log) {
   if (token) {
@@ -95,7 +118,7 @@ async function discoverAuthTables(supabase, log) {
   const discoveredTables = [];
   for (const tableName of authTableNames) {
     try {
-      const { error } = await supabase.from(`auth.${tableName}`).select('*').limit(0);
+      const { error } = await supabase.schema('auth').from(tableName).select('*').limit(0);
       if (!error) {
         discoveredTables.push({ table_name: tableName, table_schema: 'auth', table_type: 'BASE TABLE' });
         log(`     Found auth table: ${tableName}`);
@@ -107,9 +130,10 @@ async function discoverAuthTables(supabase, log) {
 
 async function discoverViaRestAPI(supabase) {
   const discoveredTables = [];
+  let openApiSpec = null;
   try {
     const restUrl = `${supabase.supabaseUrl}/rest/v1/`;
-    const response = await fetch(restUrl, {
+    const response = await supabase.fetch(restUrl, {
       headers: {
         apikey: supabase.supabaseKey,
         Authorization: `Bearer ${supabase.supabaseKey}`,
@@ -117,7 +141,7 @@ async function discoverViaRestAPI(supabase) {
       },
     });
     if (response.ok) {
-      const openApiSpec = await response.json();
+      openApiSpec = await response.json();
       if (openApiSpec.paths) {
         const tablePaths = Object.keys(openApiSpec.paths)
           .filter((path) => path.startsWith('/') && !path.includes('{'))
@@ -129,139 +153,45 @@ async function discoverViaRestAPI(supabase) {
       }
     }
   } catch (_) {}
-  return discoveredTables;
+  return { tables: discoveredTables, openApiSpec };
 }
 
+/**
+ * Tables from pg_graphql collections; the parsed schema is returned as well for the
+ * GraphQL exposure report.
+ */
 async function discoverViaGraphQL(supabase, log) {
   const discoveredTables = [];
+  let graphqlSchema = null;
   try {
-    const graphqlUrl = `${supabase.supabaseUrl}/graphql/v1`;
-    const introspectionQuery = {
-      query: `
-        query IntrospectionQuery {
-          __schema {
-            queryType {
-              name
-              fields {
-                name
-                type {
-                  name
-                  kind
-                  ofType {
-                    name
-                    kind
-                    ofType { name kind }
-                  }
-                }
-              }
-            }
-            types { name kind fields { name type { name kind } } }
-          }
-        }
-      `,
-    };
-    const response = await fetch(graphqlUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        apikey: supabase.supabaseKey,
-        Authorization: `Bearer ${supabase.supabaseKey}`,
-      },
-      body: JSON.stringify(introspectionQuery),
-    });
-    if (response.ok) {
-      const result = await response.json();
-      if (result.data?.__schema) {
-        const schema = result.data.__schema;
-        const queryType = schema.queryType;
-        const allTypes = schema.types || [];
-        if (queryType?.fields) {
-          const queryReturnTypes = new Set();
-          queryType.fields.forEach((field) => {
-            let returnType = field.type;
-            while (returnType?.ofType) returnType = returnType.ofType;
-            if (returnType?.name && !returnType.name.startsWith('__') && !['String', 'Int', 'Float', 'Boolean', 'ID'].includes(returnType.name)) {
-              queryReturnTypes.add(returnType.name);
-            }
-          });
-          const queryableTypes = allTypes.filter(
-            (type) =>
-              queryReturnTypes.has(type.name) &&
-              type.kind === 'OBJECT' &&
-              type.fields?.length > 0 &&
-              !type.name.endsWith('Connection') &&
-              !type.name.endsWith('Edge') &&
-              !type.name.endsWith('PageInfo')
-          );
-          queryableTypes.forEach((type) => {
-            const tableName = type.name.replace(/([A-Z])/g, '_$1').toLowerCase().replace(/^_/, '');
-            discoveredTables.push({
-              table_name: tableName,
-              table_schema: 'public',
-              table_type: 'GRAPHQL_TYPE',
-              graphql_type: type.name,
-              field_count: type.fields.length,
-            });
-            log(`     Found queryable GraphQL type: ${type.name} -> ${tableName} (${type.fields.length} fields)`);
-          });
-          log(`   📊 Analyzed ${queryType.fields.length} Query fields, found ${queryableTypes.length} queryable object types`);
-        }
-      }
+    graphqlSchema = await introspectGraphql(supabase);
+    if (graphqlSchema) {
+      graphqlSchema.collections.forEach((c) => {
+        discoveredTables.push({
+          table_name: c.table,
+          table_schema: 'public',
+          table_type: 'GRAPHQL_TYPE',
+          graphql_type: c.type,
+          field_count: c.fields.length,
+        });
+        log(`     Found GraphQL collection: ${c.field} [${c.type}] -> ${c.table} (${c.fields.length} fields)`);
+      });
+      log(`   📊 Found ${graphqlSchema.collections.length} collections and ${graphqlSchema.mutations.length} mutations`);
     } else {
       log('   ⚠️  GraphQL endpoint not accessible or disabled');
     }
   } catch (_) {
     log('   ⚠️  GraphQL introspection failed (GraphQL may be disabled)');
   }
-  return discoveredTables;
-}
-
-const COMMON_TABLES = [
-  'users', 'user', 'profiles', 'user_profiles', 'accounts', 'members', 'customers', 'clients', 'employees', 'staff', 'admins', 'moderators',
-  'auth_users', 'roles', 'permissions', 'user_roles', 'role_permissions', 'sessions', 'tokens', 'api_keys', 'auth_tokens', 'refresh_tokens',
-  'posts', 'articles', 'pages', 'content', 'blogs', 'news', 'stories', 'comments', 'replies', 'reviews', 'feedback', 'testimonials',
-  'categories', 'tags', 'topics', 'subjects', 'labels', 'files', 'uploads', 'documents', 'images', 'videos', 'audio', 'attachments', 'media', 'assets', 'resources',
-  'products', 'items', 'inventory', 'stock', 'variants', 'skus', 'orders', 'cart', 'cart_items', 'order_items', 'purchases',
-  'payments', 'transactions', 'invoices', 'receipts', 'billing', 'shipping', 'addresses', 'coupons', 'discounts', 'promotions',
-  'companies', 'organizations', 'departments', 'teams', 'groups', 'branches', 'offices', 'locations', 'places', 'venues',
-  'events', 'appointments', 'bookings', 'reservations', 'schedules', 'calendar', 'meetings', 'slots', 'availability',
-  'messages', 'notifications', 'emails', 'sms', 'alerts', 'chats', 'conversations', 'threads', 'channels',
-  'logs', 'audit_logs', 'activity_logs', 'access_logs', 'error_logs', 'analytics', 'metrics', 'stats', 'reports', 'tracking',
-  'settings', 'config', 'configuration', 'preferences', 'options', 'features', 'flags', 'toggles', 'variables', 'constants',
-  'countries', 'states', 'cities', 'regions', 'districts', 'zones', 'postcodes', 'zipcodes', 'coordinates', 'maps',
-  'friends', 'followers', 'following', 'connections', 'relationships', 'likes', 'favorites', 'bookmarks', 'shares', 'votes',
-  'projects', 'tasks', 'todos', 'issues', 'tickets', 'bugs', 'milestones', 'sprints', 'boards', 'workflows',
-  'migrations', 'seeds', 'backups', 'imports', 'exports', 'queues', 'jobs', 'workers', 'processes', 'crons',
-  'audit', 'history', 'versions', 'revisions', 'changes', 'temp', 'temporary', 'cache', 'buffer',
-];
-
-async function discoverCommonTables(supabase, log) {
-  log('   🔍 Method 7: Discovering tables by testing common names...');
-  const discoveredTables = [];
-  const batchSize = 10;
-  for (let i = 0; i < COMMON_TABLES.length; i += batchSize) {
-    const batch = COMMON_TABLES.slice(i, i + batchSize);
-    const batchResults = await Promise.all(
-      batch.map(async (tableName) => {
-        try {
-          const { error } = await supabase.from(tableName).select('*').limit(0);
-          return !error ? { table_name: tableName, table_schema: 'public', table_type: 'BASE TABLE' } : null;
-        } catch (_) {
-          return null;
-        }
-      })
-    );
-    const valid = batchResults.filter((t) => t !== null);
-    discoveredTables.push(...valid);
-    if (valid.length > 0) log(`     Found: ${valid.map((t) => t.table_name).join(', ')}`);
-    if (i + batchSize < COMMON_TABLES.length) await new Promise((r) => setTimeout(r, 100));
-  }
-  return discoveredTables;
+  return { tables: discoveredTables, graphqlSchema };
 }
 
-async function getSchemaInfo(supabase, fastDiscovery, log) {
+async function getSchemaInfo(supabase, fastDiscovery, log, options = {}) {
   log('📋 Fetching schema information...');
   let discoveredTables = [];
+  let openApiSpec = null;
+  let graphqlSchema = null;
+  let schemas = [];
 
   try {
     log('   🔍 Method 1a: Checking information_schema.tables (public schema)...');
@@ -348,7 +278,8 @@ async function getSchemaInfo(supabase, fastDiscovery, log) {
 
   try {
     log('   🔍 Method 5: Trying REST API introspection...');
-    const apiTables = await discoverViaRestAPI(supabase);
+    const { tables: apiTables, openApiSpec: spec } = await discoverViaRestAPI(supabase);
+    openApiSpec = spec;
     if (apiTables?.length > 0) {
       log(`   ✅ Found ${apiTables.length} tables via REST API`);
       discoveredTables = [...discoveredTables, ...apiTables];
@@ -359,34 +290,56 @@ async function getSchemaInfo(supabase, fastDiscovery, log) {
 
   try {
     log('   🔍 Method 5b: Trying GraphQL introspection...');
-    const graphqlTables = await discoverViaGraphQL(supabase, log);
+    const { tables: graphqlTables, graphqlSchema: schema } = await discoverViaGraphQL(supabase, log);
+    graphqlSchema = schema;
     if (graphqlTables?.length > 0) {
-      log(`   ✅ Found ${graphqlTables.length} types via GraphQL`);
+      log(`   ✅ Found ${graphqlTables.length} collections via GraphQL`);
       discoveredTables = [...discoveredTables, ...graphqlTables];
     }
   } catch (_) {
     log('   ⚠️  GraphQL discovery failed');
   }
 
+  try {
+    log('   🔍 Method 5c: Probing schemas with Accept-Profile...');
+    schemas = await discoverSchemas(supabase, options.schemas, log);
+    const schemaTables = schemas.filter((s) => s.exposed).flatMap((s) => s.tables);
+    if (schemaTables.length > 0) {
+      log(`   ✅ Found ${schemaTables.length} tables in ${schemas.filter((s) => s.exposed).length} exposed schema(s) beyond public`);
+      discoveredTables = [...discoveredTables, ...schemaTables];
+    }
+  } catch (_) {
+    log('   ⚠️  Schema discovery failed');
+  }
+
   if (!fastDiscovery) {
-    const commonTables = await discoverCommonTables(supabase, log);
-    if (commonTables?.length > 0) {
-      log(`   ✅ Found ${commonTables.length} tables via common name discovery`);
-      discoveredTables = [...discoveredTables, ...commonTables];
+    // Column names already known (OpenAPI definitions, GraphQL fields) seed FK-derived candidates.
+    const seedColumns = [openApiSpec, ...schemas.map((s) => s.openApiSpec)]
+      .flatMap((spec) => Object.values(spec?.definitions || {}).flatMap((d) => Object.keys(d.properties || {})))
+      .concat((graphqlSchema?.collections || []).flatMap((c) => c.fields.map((f) => f.name)));
+    const wordlistTables = await discoverTablesByWordlist(supabase, {
+      wordlists: options.wordlists,
+      extraWords: options.extraWords,
+      known: discoveredTables,
+      seedColumns,
+    }, log);
+    if (wordlistTables.length > 0) {
+      log(`   ✅ Found ${wordlistTables.length} tables via wordlist discovery`);
+      discoveredTables = [...discoveredTables, ...wordlistTables];
     }
   } else {
     log('   ⏩ Skipping comprehensive table name discovery (fast mode enabled)');
   }
 
-  const uniqueTables = discoveredTables.filter(
-    (table, index, self) => index === self.findIndex((t) => t.table_name === table.table_name)
-  );
+  const sameTable = (a, b) => a.table_name === b.table_name && (a.table_schema || 'public') === (b.table_schema || 'public');
+  const uniqueTables = discoveredTables.filter((table, index, self) => index === self.findIndex((t) => sameTable(t, table)));
   log(`   📊 Total unique tables/views discovered: ${uniqueTables.length}`);
-  return uniqueTables;
+  return { tables: uniqueTables, openApiSpec, graphqlSchema, schemas };
 }
 
-async function getTableColumns(supabase, tableName, tableSchema, log) {
+async function getTableColumns(supabase, tableName, tableSchema, log, columnMetadata = {}) {
   log(`     🔍 Getting columns for ${tableSchema}.${tableName}...`);
+  const openApiColumns = columnMetadata[tableSchema === 'public' ? tableName : `${tableSchema}.${tableName}`];
   try {
     const { data, error } = await supabase
       .from('information_schema.columns')
@@ -396,16 +349,20 @@ async function getTableColumns(supabase, tableName, tableSchema, log) {
       .order('ordinal_position');
     if (!error && data?.length > 0) {
       log(`     ✅ Found ${data.length} columns via information_schema.columns`);
-      return data;
+      return mergeKeyMetadata(data, openApiColumns);
     }
   } catch (error) {
     log(`     ⚠️  information_schema.columns failed: ${error.message}`);
   }
+  if (openApiColumns?.length > 0) {
+    log(`     ✅ Found ${openApiColumns.length} columns via OpenAPI definitions`);
+    return openApiColumns;
+  }
   try {
-    const tableRef = tableSchema === 'public' ? tableName : `${tableSchema}.${tableName}`;
-    const { data, error } = await supabase.from(tableRef).select('*').limit(0);
+    const db = schemaClient(supabase, tableSchema);
+    const { data, error } = await db.from(tableName).select('*').limit(0);
     if (!error) {
-      const { data: sampleData, error: sampleError } = await supabase.from(tableRef).select('*').limit(1);
+      const { data: sampleData, error: sampleError } = await db.from(tableName).select('*').limit(1);
       if (!sampleError && sampleData?.length > 0) {
         log(`     ✅ Inferred ${Object.keys(sampleData[0]).length} columns from sample data`);
         return Object.keys(sampleData[0]).map((colName) => ({
@@ -440,34 +397,96 @@ function maskAuthUsersRow(row) {
   };
 }
 
-async function extractTableData(supabase, table, log) {
+/**
+ * Fetches only the sample rows, then the total with a head-only count request,
+ * so no table is downloaded in full just to be counted.
+ */
+export async function countAndSample(supabase, tableRef, countMode, select = '*') {
+  const { data, error } = await supabase.from(tableRef).select(select).limit(SAMPLE_ROWS_COUNT);
+  if (error) return { error };
+  const { count, error: countError } = await supabase.from(tableRef).select(select, { count: countMode, head: true });
+  return { data, count: countError ? null : count, countError };
+}
+
+/**
+ * Pages through a table with range requests and hands each page to onPage until
+ * the table is exhausted or maxRows is reached. Pages are ordered by primary key when known.
+ */
+export async function dumpTableRows(supabase, tableRef, columns, { maxRows, onPage, select = '*' }) {
+  const orderBy = columns?.find((c) => c.is_primary_key)?.column_name;
+  let fetched = 0;
+  while (fetched < maxRows) {
+    const to = Math.min(fetched + DUMP_PAGE_SIZE, maxRows) - 1;
+    let query = supabase.from(tableRef).select(select);
+    if (orderBy) query = query.order(orderBy, { ascending: true });
+    const { data, error } = await query.range(fetched, to);
+    if (error) return { rows: fetched, error: error.message };
+    if (!data?.length) break;
+    await onPage(data);
+    // Keep paging until an empty page: the server's max-rows may be below DUMP_PAGE_SIZE.
+    fetched += data.length;
+  }
+  return { rows: fetched, truncated: fetched >= maxRows };
+}
+
+/**
+ * Column-name matches are reported for unreadable tables too; `exposed` says whether the
+ * column itself could be read (table readable and the column not REVOKEd).
+ */
+function markPiiExposure(findings, extracted) {
+  const denied = new Set([...(extracted.columnAccess?.denied || []), ...(extracted.columnAccess?.undetermined || [])]);
+  return findings.map((f) => ({ ...f, exposed: !extracted.error && !denied.has(f.column) }));
+}
+
+async function extractTableData(supabase, table, log, { columnMetadata = {}, countMode = 'exact', dump } = {}) {
   const tableName = table.table_name;
   const tableSchema = table.table_schema || 'public';
   const fullTableName = tableSchema === 'public' ? tableName : `${tableSchema}.${tableName}`;
-  const result = { columns: null, rowCount: 0, sampleRows: [], error: null, table_name: tableName, table_schema: tableSchema, table_type: table.table_type, graphql_type: table.graphql_type };
+  const result = { columns: null, relationships: [], rowCount: 0, sampleRows: [], error: null, table_name: tableName, table_schema: tableSchema, table_type: table.table_type, graphql_type: table.graphql_type };
 
   log(`\n📊 Extracting data from table: ${fullTableName} (${table.table_type})`);
   if (table.graphql_type) log(`   🔗 GraphQL Type: ${table.graphql_type} (${table.field_count} fields)`);
 
   try {
     if (table.table_type !== 'GRAPHQL_TYPE') {
-      const columns = await getTableColumns(supabase, tableName, tableSchema, log);
+      const columns = await getTableColumns(supabase, tableName, tableSchema, log, columnMetadata);
       result.columns = columns;
+      result.relationships = relationshipsFromColumns(columns);
       if (columns?.length > 0) {
         log(`   Columns (${columns.length}):`);
-        columns.forEach((col) => log(`     - ${col.column_name} (${col.data_type}${col.is_nullable === 'YES' ? ', nullable' : ''})`));
+        columns.forEach((col) => {
+          const keys = `${col.is_primary_key ? ', PK' : ''}${col.foreign_key ? `, FK -> ${col.foreign_key.table}.${col.foreign_key.column}` : ''}`;
+          log(`     - ${col.column_name} (${col.data_type}${col.is_nullable === 'YES' ? ', nullable' : ''}${keys})`);
+        });
       }
     }
 
-    let tableRef = tableSchema === 'public' ? tableName : fullTableName;
-    let { data, error, count } = await supabase.from(tableRef).select('*', { count: 'exact' });
+    const db = schemaClient(supabase, tableSchema);
+    let tableRef = tableName;
+    let { data, error, count, countError } = await countAndSample(db, tableRef, countMode);
     if (error && table.graphql_type) {
       log(`   🔄 Trying GraphQL type name: ${table.graphql_type}`);
-      const graphqlResult = await supabase.from(table.graphql_type).select('*', { count: 'exact' });
+      const graphqlResult = await countAndSample(db, table.graphql_type, countMode);
       if (!graphqlResult.error) {
-        data = graphqlResult.data;
-        error = graphqlResult.error;
-        count = graphqlResult.count;
+        ({ data, error, count, countError } = graphqlResult);
+        tableRef = table.graphql_type;
+      }
+    }
+
+    // select=* is refused as a whole when any column is REVOKEd; fall back to the readable columns.
+    let select = '*';
+    if (isPermissionDenied(error) && result.columns?.length) {
+      const primaryKey = result.columns.find((c) => c.is_primary_key)?.column_name;
+      const { tableDenied, ...access } = await probeColumnAccess(db, tableRef, result.columns.map((c) => c.column_name), primaryKey);
+      if (tableDenied) {
+        log('   🔒 Every column probe was refused; treating it as a table-level denial');
+      } else {
+        result.columnAccess = access;
+        log(`   🔒 Column privileges: ${access.readable.length}/${result.columns.length} column(s) readable${access.denied.length ? `; denied: ${access.denied.join(', ')}` : ''}`);
+      }
+      if (access.readable.length) {
+        select = selectList(access.readable);
+        ({ data, error, count, countError } = await countAndSample(db, tableRef, countMode, select));
       }
     }
 
@@ -480,16 +499,29 @@ async function extractTableData(supabase, table, log) {
 
     const total = count ?? data?.length ?? 0;
     result.rowCount = total;
-    log(`   📈 Total rows: ${total}`);
+    result.rowCountMode = count != null ? countMode : 'sample';
+    if (countError) log(`   ⚠️  Count request failed (${countError.message || 'no details'}); reporting sample size`);
+    log(`   📈 Total rows: ${total}${countMode !== 'exact' && count != null ? ` (${countMode})` : ''}`);
 
+    const isAuthUsers = tableSchema === 'auth' && tableName === 'users';
     if (data?.length > 0) {
       const sample = data.slice(0, SAMPLE_ROWS_COUNT);
-      const masked = tableSchema === 'auth' && tableName === 'users' ? sample.map(maskAuthUsersRow) : sample;
+      const masked = isAuthUsers ? sample.map(maskAuthUsersRow) : sample;
       result.sampleRows = masked;
       log(`   📄 Sample data (first ${masked.length} rows)`);
     } else {
       log('   📭 No data found in this table');
     }
+
+    if (dump && data?.length > 0) {
+      const dumped = await dumpTableRows(db, tableRef, result.columns, {
+        maxRows: dump.maxRows,
+        select,
+        onPage: (rows) => dump.write(fullTableName, isAuthUsers ? rows.map(maskAuthUsersRow) : rows),
+      });
+      result.dump = dumped;
+      log(`   💾 Dumped ${dumped.rows} row(s)${dumped.truncated ? ` (capped at ${dump.maxRows})` : ''}${dumped.error ? ` - stopped: ${dumped.error}` : ''}`);
+    }
   } catch (error) {
     log(`   ❌ Unexpected error: ${error.message}`);
     result.error = error.message;
@@ -497,16 +529,49 @@ async function extractTableData(supabase, table, log) {
   return result;
 }
 
-async function verifyPublicUrlReachable(url) {
+async function verifyPublicUrlReachable(url, request = fetch) {
   try {
-    const res = await fetch(url, { method: 'GET', redirect: 'follow' });
+    const res = await request(url, { method: 'GET', redirect: 'follow' });
     return { ok: res.ok, corsOrNetworkError: false };
   } catch (_) {
     return { ok: false, corsOrNetworkError: typeof window !== 'undefined' };
   }
 }
 
-async function analyzeStorageBuckets(supabase, log) {
+/**
+ * Private buckets: can the scan identity download sample objects and mint signed URLs,
+ * do those URLs serve the file, and is the public URL pattern refused as it should be.
+ * The smallest indexed objects are used to keep downloads cheap.
+ */
+export async function checkPrivateBucketAccess(bucketApi, objects, request) {
+  const sample = [...objects].sort((a, b) => (Number(a.size) || 0) - (Number(b.size) || 0)).slice(0, STORAGE_PUBLIC_VERIFY_SAMPLE);
+  const check = { sampleSize: sample.length, downloaded: 0, signedUrls: 0, signedUrlsServed: 0, publicUrlsServed: 0, corsOrNetworkError: undefined };
+  for (const obj of sample) {
+    const { error: downloadError } = await bucketApi.download(obj.path);
+    if (!downloadError) check.downloaded += 1;
+    const { data: signed, error: signError } = await bucketApi.createSignedUrl(obj.path, 60);
+    if (!signError && signed?.signedUrl) {
+      check.signedUrls += 1;
+      const served = await verifyPublicUrlReachable(signed.signedUrl, request);
+      if (served.ok) check.signedUrlsServed += 1;
+      if (served.corsOrNetworkError) check.corsOrNetworkError = true;
+    }
+    const { data: urlData } = bucketApi.getPublicUrl(obj.path);
+    if (urlData?.publicUrl) {
+      const result = await verifyPublicUrlReachable(urlData.publicUrl, request);
+      if (result.ok) check.publicUrlsServed += 1;
+      if (result.corsOrNetworkError) check.corsOrNetworkError = true;
+    }
+  }
+  return check;
+}
+
+/**
+ * options = { maxDepth?, maxObjects? } for the recursive object index (see walkBucket),
+ * plus { sampleContent?, piiRules? } to scan a sample of text objects for PII and secrets,
+ * and { writeProbe? } to test upload/overwrite/delete with a marker object.
+ */
+async function analyzeStorageBuckets(supabase, log, scheduler, options = {}) {
   const out = { buckets: [] };
   log('\n🪣 Storage bucket security analysis...');
 
@@ -530,46 +595,50 @@ async function analyzeStorageBuckets(supabase, log) {
       fileSizeLimit: bucket.file_size_limit ?? undefined,
       objectCount: 0,
       samplePaths: [],
+      secretFindings: [],
       listError: undefined,
       publicUrlCheck: undefined,
+      privateAccessCheck: undefined,
+      access: undefined,
     };
 
     log(`\n   📦 Bucket: ${name}`);
     log(`      Public (config): ${isPublic ? 'YES ⚠️' : 'No'}`);
     if (bucket.file_size_limit != null) log(`      File size limit: ${bucket.file_size_limit}`);
 
-    let objects = [];
-    const { data: listData, error: listError } = await supabase.storage.from(name).list('', { limit: 500, sortBy: { column: 'name', order: 'asc' } });
-    if (listError) {
-      log(`      List objects: ❌ ${listError.message}`);
-      bucketOut.listError = listError.message;
-    } else if (listData?.length > 0) {
-      objects = listData.map((e) => ({ path: e.name, name: e.name, size: e.metadata?.size }));
-      let offset = 500;
-      while (objects.length < STORAGE_INDEX_LIMIT) {
-        const { data: next, error: nextErr } = await supabase.storage.from(name).list('', { limit: 200, offset, sortBy: { column: 'name', order: 'asc' } });
-        if (nextErr || !next?.length) break;
-        for (const e of next) objects.push({ path: e.name, name: e.name, size: e.metadata?.size });
-        offset += next.length;
-        if (next.length < 200) break;
-      }
-      const possibleFolders = objects.filter((o) => !o.path.includes('.') && o.path.length > 0);
-      for (const folder of possibleFolders.slice(0, 30)) {
-        if (objects.length >= STORAGE_INDEX_LIMIT) break;
-        const { data: subList } = await supabase.storage.from(name).list(folder.path, { limit: 100, sortBy: { column: 'name', order: 'asc' } });
-        if (subList?.length > 0) {
-          for (const e of subList) {
-            if (objects.length >= STORAGE_INDEX_LIMIT) break;
-            objects.push({ path: `${folder.path}/${e.name}`, name: e.name, size: e.metadata?.size });
-          }
-        }
-      }
+    const walk = await walkBucket(supabase.storage.from(name), { maxDepth: options.maxDepth, maxObjects: options.maxObjects });
+    const objects = walk.objects;
+    if (walk.error) {
+      log(`      List objects: ❌ ${walk.error}`);
+      bucketOut.listError = walk.error;
+    } else if (objects.length > 0) {
       bucketOut.objectCount = objects.length;
+      bucketOut.folderCount = walk.folders;
+      bucketOut.totalSize = walk.totalSize;
+      bucketOut.prefixes = walk.prefixes;
+      bucketOut.extensions = walk.extensions;
+      bucketOut.mimetypes = walk.mimetypes;
+      bucketOut.maxDepthReached = walk.maxDepthReached;
+      bucketOut.truncated = walk.truncated;
+      if (walk.truncated) bucketOut.pendingPrefixes = walk.pending;
       bucketOut.samplePaths = objects.slice(0, 10).map((o) => (o.size != null ? `${o.path} (${o.size} bytes)` : o.path));
-      log(`      Indexed objects: ${objects.length}`);
-      if (objects.length > 0) {
-        bucketOut.samplePaths.forEach((p) => log(`         - ${p}`));
-        if (objects.length > 10) log(`         ... and ${objects.length - 10} more`);
+      log(`      Indexed objects: ${objects.length} in ${walk.folders} folder(s), ${formatBytes(walk.totalSize)}, depth ${walk.maxDepthReached}${walk.truncated ? ' (limit reached, partial index)' : ''}`);
+      bucketOut.samplePaths.forEach((p) => log(`         - ${p}`));
+      if (objects.length > 10) log(`         ... and ${objects.length - 10} more`);
+      const top = (totals) => Object.entries(totals).sort((a, b) => b[1].count - a[1].count).slice(0, 5).map(([k, t]) => `${k} ${t.count}`).join(', ');
+      log(`      By extension: ${top(walk.extensions)}`);
+      log(`      By mimetype: ${top(walk.mimetypes)}`);
+      walk.prefixes.slice(0, 5).forEach((p) => log(`      📁 ${p.prefix}: ${p.objects} object(s), ${formatBytes(p.size)}`));
+      bucketOut.secretFindings = detectSecretsInPaths(objects.map((o) => o.path));
+      bucketOut.secretFindings.forEach((f) => log(`      🔑 Possible ${f.secretType} (${f.confidence} confidence): ${f.path}`));
+      if (options.sampleContent) {
+        const sample = await sampleBucketContent(supabase, name, objects, { isPublic, piiRules: options.piiRules });
+        bucketOut.contentSample = sample;
+        log(`      🔬 Content sample: ${sample.sampled} text object(s) scanned, ${sample.skippedBinary} binary skipped, ${sample.errors} unreadable`);
+        sample.objects.forEach((o) => {
+          const found = [...o.secretFindings.map((f) => `🔑 ${f.secretType}`), ...[...new Set(o.piiFindings.map((f) => f.piiType))]];
+          log(`         ⚠️  ${o.path}: ${found.join(', ')}`);
+        });
       }
     } else {
       log('      Indexed objects: 0 (empty or no list permission).');
@@ -582,7 +651,7 @@ async function analyzeStorageBuckets(supabase, log) {
       for (const obj of sampleForVerify) {
         const { data: urlData } = supabase.storage.from(name).getPublicUrl(obj.path);
         if (urlData?.publicUrl) {
-          const result = await verifyPublicUrlReachable(urlData.publicUrl);
+          const result = await verifyPublicUrlReachable(urlData.publicUrl, scheduler?.fetch);
           if (result.ok) verified += 1;
           if (result.corsOrNetworkError) corsOrNetworkError = true;
         }
@@ -593,13 +662,47 @@ async function analyzeStorageBuckets(supabase, log) {
       if (verified > 0) log('      ⚠️  Bucket is exposed publicly; content can be accessed by anyone with object paths.');
     }
 
+    if (!isPublic && objects.length > 0) {
+      const check = await checkPrivateBucketAccess(supabase.storage.from(name), objects, scheduler?.fetch);
+      bucketOut.privateAccessCheck = check;
+      log(`      Private access check (${check.sampleSize} sample objects): download ${check.downloaded}, signed URLs ${check.signedUrls} (${check.signedUrlsServed} served), public URL ${check.publicUrlsServed} served`);
+      if (check.corsOrNetworkError) log('      ℹ️  Some checks could not be verified (CORS or network).');
+      if (check.downloaded > 0 || check.signedUrlsServed > 0) log('      ⚠️  The scan identity can read objects in this private bucket.');
+      if (check.publicUrlsServed > 0) log('      🚨 Private objects are served through the public URL pattern without auth.');
+    }
+    // undefined = not tested (no objects indexed, or a public bucket for the private-only checks).
+    const { publicUrlCheck: pub, privateAccessCheck: priv } = bucketOut;
+    bucketOut.access = {
+      list: !walk.error && objects.length > 0,
+      download: priv ? priv.downloaded > 0 : undefined,
+      signedUrl: priv ? priv.signedUrlsServed > 0 : undefined,
+      publicUrl: pub ? pub.verified > 0 : priv ? priv.publicUrlsServed > 0 : undefined,
+    };
+
+    if (options.writeProbe) {
+      const probe = await probeBucketWrites(supabase.storage.from(name), { objects, listError: walk.error });
+      bucketOut.writeProbe = probe;
+      const mark = (v) => (v === true ? '✅' : v === false ? '❌' : '➖');
+      log(`      Write probe: ${Object.entries(probe.permissions).map(([op, v]) => `${op} ${mark(v)}`).join('  ')}`);
+      if (probe.permissions.upload) log(`      ⚠️  Uploads accepted${isPublic ? ' in a public bucket: anyone can host files here' : ''}.`);
+      probe.leftovers.forEach((path) => log(`      🧹 Could not confirm removal of probe object ${path}; check for it and delete it manually.`));
+    }
+
     out.buckets.push(bucketOut);
   }
   log('\n   Storage bucket analysis completed.');
   return out;
 }
 
-async function generateSQLSchema(supabase, tables, log) {
+/** Literal defaults from OpenAPI come unquoted; expressions, numbers and casts are kept as-is. */
+function sqlDefault(value) {
+  const str = String(value);
+  if (/^-?\d+(\.\d+)?$/.test(str) || /^(true|false|null)$/i.test(str)) return str;
+  if (/^[\w.]+\(.*\)$/.test(str) || str.includes('::') || /^'.*'$/.test(str)) return str;
+  return `'${str.replace(/'/g, "''")}'`;
+}
+
+async function generateSQLSchema(supabase, tables, log, columnMetadata = {}) {
   log('📝 Generating SQL schema...');
   let sqlContent = `-- Supabase Database Schema Export\n-- Generated on: ${new Date().toISOString()}\n-- Total tables: ${tables.length}\n\n`;
   const tablesBySchema = {};
@@ -614,16 +717,17 @@ async function generateSQLSchema(supabase, tables, log) {
     for (const table of schemaTables) {
       sqlContent += `-- Table: ${schemaName}.${table.table_name}\n`;
       try {
-        const columns = await getTableColumns(supabase, table.table_name, table.table_schema, log);
+        const columns = await getTableColumns(supabase, table.table_name, table.table_schema, log, columnMetadata);
         if (columns?.length > 0) {
           sqlContent += `CREATE TABLE IF NOT EXISTS "${schemaName}"."${table.table_name}" (\n`;
+          const hasKeyMetadata = columns.some((col) => col.is_primary_key);
           const defs = columns.map((col) => {
             let def = `  "${col.column_name}"`;
-            if (col.data_type && col.data_type !== 'unknown') def += ` ${col.data_type.toUpperCase()}`;
+            if (col.data_type && col.data_type !== 'unknown') def += ` ${col.data_type.toUpperCase()}${col.max_length ? `(${col.max_length})` : ''}`;
             else {
               const cn = col.column_name.toLowerCase();
               if (cn.includes('id') && cn !== 'id') def += ' INTEGER';
-              else if (cn === 'id') def += ' SERIAL PRIMARY KEY';
+              else if (cn === 'id') def += hasKeyMetadata ? ' INTEGER' : ' SERIAL PRIMARY KEY';
               else if (cn.includes('email')) def += ' VARCHAR(255)';
               else if (cn.includes('phone')) def += ' VARCHAR(20)';
               else if (cn.includes('date') || cn.includes('time')) def += ' TIMESTAMP';
@@ -633,9 +737,14 @@ async function generateSQLSchema(supabase, tables, log) {
               else def += ' TEXT';
             }
             if (col.is_nullable === 'NO' && !def.includes('PRIMARY KEY')) def += ' NOT NULL';
-            if (col.column_default && col.column_default !== 'has_default') def += ` DEFAULT ${col.column_default}`;
+            if (col.column_default && col.column_default !== 'has_default') def += ` DEFAULT ${sqlDefault(col.column_default)}`;
             return def;
           });
+          const pkColumns = columns.filter((col) => col.is_primary_key).map((col) => `"${col.column_name}"`);
+          if (pkColumns.length > 0) defs.push(`  PRIMARY KEY (${pkColumns.join(', ')})`);
+          columns.filter((col) => col.foreign_key).forEach((col) => {
+            defs.push(`  FOREIGN KEY ("${col.column_name}") REFERENCES "${schemaName}"."${col.foreign_key.table}" ("${col.foreign_key.column}")`);
+          });
           sqlContent += defs.join(',\n') + '\n);\n\n';
         } else {
           sqlContent += `-- Note: Could not retrieve column information\nCREATE TABLE IF NOT EXISTS "${schemaName}"."${table.table_name}" ( id SERIAL PRIMARY KEY );\n\n`;
@@ -647,14 +756,241 @@ async function generateSQLSchema(supabase, tables, log) {
     }
     sqlContent += '\n';
   }
-  sqlContent += '-- Indexes and Constraints: add manually if needed.\n';
+  sqlContent += '-- Indexes and other constraints: add manually if needed.\n';
   return sqlContent;
 }
 
+const OWNER_COLUMNS = [
+  'user_id', 'owner_id', 'created_by', 'author_id', 'profile_id', 'account_id', 'creator_id', 'member_id', 'customer_id', 'uid',
+];
+
+/**
+ * Parses an identity spec: `anon`, `email:password` or `token:<jwt>`, optionally prefixed with `label=`.
+ * Objects ({ label?, email?, password?, token? }) are passed through.
+ */
+export function parseIdentitySpec(spec) {
+  if (spec && typeof spec === 'object') return { ...spec, label: spec.label || spec.email || (spec.token ? 'token' : 'anon') };
+  const raw = String(spec || '').trim();
+  const labelled = raw.match(/^([\w .-]+)=(.*)$/);
+  const label = labelled ? labelled[1].trim() : undefined;
+  const body = labelled ? labelled[2].trim() : raw;
+  if (!body || body === 'anon') return { label: label || 'anon' };
+  if (body.startsWith('token:')) return { label: label || 'token', token: body.slice('token:'.length) };
+  const sep = body.indexOf(':');
+  if (sep === -1) throw new Error(`Invalid identity "${raw}": expected anon, email:password or token:<jwt>`);
+  const email = body.slice(0, sep);
+  return { label: label || email, email, password: body.slice(sep + 1) };
+}
+
+function createIdentityClient(config, identity, index, scheduler) {
+  return createClient(config.url, config.key, {
+    auth: { persistSession: false, autoRefreshToken: false, storageKey: `supamole-identity-${index}` },
+    global: {
+      fetch: scheduler.fetch,
+      ...(identity.token ? { headers: { Authorization: `Bearer ${identity.token}` } } : {}),
+    },
+  });
+}
+
+/**
+ * Re-reads every table as each identity and records who sees how many rows. Rows whose
+ * owner column (user_id, owner_id, ...) holds another identity's user id are flagged.
+ */
+async function compareIdentities(config, tables, log, scheduler) {
+  log('\n👥 Multi-identity access comparison...');
+  // Anonymous access is always the baseline, so extra anon specs are dropped and repeated labels numbered.
+  const specs = [{ label: 'anon' }, ...config.identities.map(parseIdentitySpec).filter((s) => s.token || s.email)];
+  const unique = specs.map((s, i) => {
+    const seen = specs.slice(0, i).filter((o) => o.label === s.label).length;
+    return seen ? { ...s, label: `${s.label} #${seen + 1}` } : s;
+  });
+  const quiet = () => {};
+
+  const identities = [];
+  for (const [index, spec] of unique.entries()) {
+    const client = createIdentityClient(config, spec, index, scheduler);
+    const isAnon = !spec.token && !spec.email;
+    const authResult = isAnon ? null : await authenticateUser(client, spec.email, spec.password, spec.token, quiet);
+    identities.push({
+      label: spec.label,
+      client,
+      userId: authResult?.user?.id,
+      email: authResult?.user?.email,
+      authenticated: Boolean(authResult),
+      failed: !isAnon && !authResult,
+    });
+    log(`   ${isAnon ? '🔓' : authResult ? '🔐' : '❌'} ${spec.label}${authResult?.user?.id ? ` (user ${authResult.user.id})` : ''}${!isAnon && !authResult ? ' - authentication failed, skipped' : ''}`);
+  }
+  const active = identities.filter((i) => !i.failed);
+  const owners = active.filter((i) => i.userId);
+
+  const matrix = {
+    identities: identities.map(({ label, userId, email, authenticated, failed }) => ({ label, userId, email, authenticated, error: failed ? 'Authentication failed' : undefined })),
+    tables: [],
+  };
+
+  for (const table of tables) {
+    const fullName = table.table_schema === 'public' ? table.table_name : `${table.table_schema}.${table.table_name}`;
+    const entry = { table_name: table.table_name, table_schema: table.table_schema, rowCounts: {}, errors: {}, columnAccess: {}, crossOwnership: [] };
+    const columnNames = (table.columns || []).map((c) => c.column_name);
+    if (!columnNames.length && table.sampleRows?.[0]) columnNames.push(...Object.keys(table.sampleRows[0]));
+    const ownerColumns = OWNER_COLUMNS.filter((c) => columnNames.includes(c));
+    if (['users', 'profiles'].includes(table.table_name) && columnNames.includes('id')) ownerColumns.push('id');
+
+    for (const identity of active) {
+      const extracted = await extractTableData(identity.client, table, quiet, { countMode: config.countMode });
+      entry.rowCounts[identity.label] = extracted.error ? null : extracted.rowCount;
+      if (extracted.columnAccess) entry.columnAccess[identity.label] = extracted.columnAccess;
+      if (extracted.error) entry.errors[identity.label] = extracted.error;
+      if (extracted.error) continue;
+
+      for (const owner of owners) {
+        if (owner === identity) continue;
+        for (const column of ownerColumns) {
+          const { count, error } = await schemaClient(identity.client, table.table_schema).from(table.table_name).select('*', { count: 'exact', head: true }).eq(column, owner.userId);
+          if (!error && count > 0) {
+            entry.crossOwnership.push({ viewer: identity.label, owner: owner.label, column, rows: count });
+          }
+        }
+      }
+    }
+
+    const counts = active.map((i) => `${i.label}: ${entry.rowCounts[i.label] ?? 'denied'}`).join(', ');
+    log(`   📊 ${fullName} - ${counts}`);
+    for (const [label, access] of Object.entries(entry.columnAccess)) {
+      log(`      🔒 ${label}: ${access.readable.length} column(s) readable${access.denied.length ? `, denied: ${access.denied.join(', ')}` : ''}`);
+    }
+    entry.crossOwnership.forEach((c) => log(`      ⚠️  ${c.viewer} can see ${c.rows} row(s) owned by ${c.owner} (${c.column})`));
+    matrix.tables.push(entry);
+  }
+
+  for (const identity of active) {
+    if (identity.authenticated) await identity.client.auth.signOut();
+  }
+  const flagged = matrix.tables.filter((t) => t.crossOwnership.length > 0).length;
+  log(`\n   Access comparison completed: ${flagged} table(s) with rows visible across identities.`);
+  return matrix;
+}
+
+/**
+ * Opt-in: signs up a throwaway user (by email, or anonymously when only that is enabled)
+ * and re-reads every table as it, reporting tables it can read beyond the anon baseline.
+ * The anon key cannot delete users, so the account's email and id are reported for cleanup.
+ */
+async function probeSignupAccess(config, tables, authAudit, log, scheduler, baselineIsAnon) {
+  log('\n🆕 Sign-up probe: checking what a brand-new user can read...');
+  const quiet = () => {};
+  const client = createIdentityClient(config, {}, 'signup', scheduler);
+  const probe = { attempted: false, method: undefined, email: undefined, userId: undefined, confirmed: false, tables: [], extraTables: [] };
+
+  let response;
+  if (authAudit.emailSignup) {
+    probe.method = 'email';
+    probe.email = `supamole-${Date.now().toString(36)}-${(await randomId()).slice(0, 8)}@example.com`;
+    response = await client.auth.signUp({ email: probe.email, password: await randomId() });
+  } else if (authAudit.anonymousSignIns) {
+    probe.method = 'anonymous';
+    response = await client.auth.signInAnonymously();
+  } else {
+    probe.reason = 'Email and anonymous sign-up are both closed';
+    log(`   ℹ️  ${probe.reason} - skipped`);
+    return probe;
+  }
+  probe.attempted = true;
+  probe.userId = response.data?.user?.id;
+  if (response.error) {
+    probe.reason = response.error.message;
+    log(`   ❌ Sign-up failed: ${response.error.message}`);
+    return probe;
+  }
+  if (!response.data?.session) {
+    probe.reason = 'No session returned (email confirmation required)';
+    log(`   🔒 ${probe.reason}`);
+    return probe;
+  }
+  probe.confirmed = true;
+  log(`   ✅ Signed up ${probe.method === 'email' ? probe.email : 'anonymously'} (user ${probe.userId})`);
+
+  const anonClient = baselineIsAnon ? null : createIdentityClient(config, {}, 'signup-baseline', scheduler);
+  for (const table of tables) {
+    const fullName = table.table_schema === 'public' ? table.table_name : `${table.table_schema}.${table.table_name}`;
+    const baseline = anonClient ? await extractTableData(anonClient, table, quiet, { countMode: config.countMode }) : table;
+    const extracted = await extractTableData(client, table, quiet, { countMode: config.countMode });
+    const entry = {
+      table_name: table.table_name,
+      table_schema: table.table_schema,
+      anonRows: baseline.error ? null : baseline.rowCount,
+      signupRows: extracted.error ? null : extracted.rowCount,
+    };
+    probe.tables.push(entry);
+    if (entry.signupRows !== null && (entry.anonRows === null || entry.signupRows > entry.anonRows)) {
+      probe.extraTables.push(fullName);
+      log(`   ⚠️  ${fullName}: anon ${entry.anonRows ?? 'denied'} -> new user ${entry.signupRows} row(s)`);
+    }
+  }
+  await client.auth.signOut();
+  log(`   Sign-up probe completed: ${probe.extraTables.length} table(s) readable with a fresh account beyond anon.`);
+  if (probe.method === 'email') log(`   ℹ️  The throwaway account ${probe.email} remains; delete it from the dashboard.`);
+  return probe;
+}
+
 /**
- * Run full extraction. config = { url, key, email?, password?, token?, fastDiscovery?, exportSql? }
+ * NDJSON sink for the full dump, one `{ table, row }` object per line. Written to
+ * config.dump in Node; collected for download in the browser (like the SQL export).
+ */
+async function createDumpSink(config) {
+  const maxRows = Number(config.dumpRowLimit) > 0 ? Number(config.dumpRowLimit) : DUMP_ROW_LIMIT;
+  const toLines = (table, rows) => rows.map((row) => JSON.stringify({ table, row })).join('\n') + '\n';
+  if (typeof window !== 'undefined') {
+    const chunks = [];
+    return { maxRows, write: (table, rows) => chunks.push(toLines(table, rows)), close: async () => chunks.join('') };
+  }
+  const fs = await import('fs/promises');
+  const handle = await fs.open(config.dump, 'w');
+  // Tables are extracted concurrently, so writes are chained to keep lines whole.
+  let pending = Promise.resolve();
+  return {
+    maxRows,
+    write: (table, rows) => (pending = pending.then(() => handle.write(toLines(table, rows)))),
+    close: () => pending.then(() => handle.close()),
+  };
+}
+
+function formatPermissions(permissions) {
+  const mark = (v) => (v === true ? '✅' : v === false ? '❌' : '➖');
+  return ['select', 'insert', 'update', 'delete'].map((verb) => `${verb} ${mark(permissions[verb])}`).join('  ');
+}
+
+/**
+ * Result of runExtraction(). Optional sections are only set when their option is on.
+ * @typedef {object} ExtractionResult
+ * @property {string[]} discoveryLog
+ * @property {Array<{}>} tables per-table rows, columns, PII, permissions and column access
+ * @property {{ buckets: Array<{}> }} storage
+ * @property {Array<{ name: string, source: string, exposed: boolean | null, tables: string[] }>} schemas
+ * @property {{ used: boolean, userEmail?: string }} auth
+ * @property {{ key: {}, token?: {} }} credentials key and token inspection
+ * @property {{ providers: string[], emailSignup: boolean, anonymousSignIns: boolean, warnings: string[], signupProbe?: {} }} authAudit
+ * @property {Array<{}>} functions RPC functions from the OpenAPI spec
+ * @property {{ collections: Array<{}>, mutations: Array<{}>, queries: string[] }} [graphql]
+ * @property {Array<{}>} embedding relationship embedding probes
+ * @property {Array<{}>} [edgeFunctions]
+ * @property {{ method: 'rollback' | 'noop' }} [writeProbe]
+ * @property {{ identities: Array<{}>, tables: Array<{}> }} [accessMatrix]
+ * @property {{ connected: boolean, tables: Array<{}>, channels: Array<{}> }} [realtime]
+ * @property {string} [exportSqlPath]
+ * @property {string} [dumpPath]
+ * @property {{ requests: number, retries: number, throttled: number, failed: number }} requestStats
+ */
+
+/**
+ * Run full extraction. config = { url, key, email?, password?, token?, fastDiscovery?, exportSql?, writeProbe?,
+ * identities?, probeRpc?, countMode?, dump?, dumpRowLimit?, concurrency?, maxRetries?, piiRules?, signupProbe?,
+ * storageMaxDepth?, storageMaxObjects?, sampleStorage?, storageWriteProbe?, probeEdgeFunctions?, realtime?,
+ * realtimeWindow?, schemas?, wordlists?, extraWords? }
+ * piiRules are compiled custom rules from parsePiiRules().
  * options = { echoToConsole?: boolean } (default true for CLI)
- * @returns { Promise<{ discoveryLog: string[], tables: Array<{}>, storage: { buckets: Array<{}> }, auth: { used: boolean, userEmail?: string }, exportSqlPath?: string }> }
+ * @returns {Promise<ExtractionResult>}
  */
 export async function runExtraction(config, options = {}) {
   const { echoToConsole = true, onLog } = options;
@@ -669,22 +1005,40 @@ export async function runExtraction(config, options = {}) {
     discoveryLog,
     tables: [],
     storage: { buckets: [] },
+    functions: [],
+    graphql: undefined,
+    edgeFunctions: undefined,
     auth: { used: false, userEmail: undefined },
+    credentials: undefined,
+    authAudit: undefined,
+    writeProbe: undefined,
+    accessMatrix: undefined,
+    realtime: undefined,
     exportSqlPath: undefined,
+    dumpPath: undefined,
+    requestStats: undefined,
   };
 
   if (!config.url || !config.key) {
     throw new Error('Missing required parameters: url and key');
   }
+  if (config.countMode && !COUNT_MODES.includes(config.countMode)) {
+    throw new Error(`Invalid count mode "${config.countMode}": expected ${COUNT_MODES.join(', ')}`);
+  }
+  const countMode = config.countMode || 'exact';
+  resolveWordlists(config.wordlists);
+  const piiRules = withCustomRules(config.piiRules);
 
   log('🚀 Supabase Data Extractor Starting...');
   log(`   URL: ${config.url}`);
   log(`   Key: ${config.key.substring(0, 10)}...`);
+  result.credentials = inspectCredentials(config, log);
 
-  let supabase = createClient(config.url, config.key);
+  const scheduler = createRequestScheduler({ concurrency: config.concurrency, maxRetries: config.maxRetries, log });
+  let supabase = createClient(config.url, config.key, { global: { fetch: scheduler.fetch } });
   if (config.token) {
     supabase = createClient(config.url, config.key, {
-      global: { headers: { Authorization: `Bearer ${config.token}` } },
+      global: { fetch: scheduler.fetch, headers: { Authorization: `Bearer ${config.token}` } },
     });
   }
 
@@ -696,8 +1050,32 @@ export async function runExtraction(config, options = {}) {
     result.auth.used = true;
     result.auth.userEmail = authResult.user?.email;
   }
+  result.authAudit = await auditAuthSettings(supabase, log);
+
+  const { tables: tableList, openApiSpec, graphqlSchema, schemas } = await getSchemaInfo(supabase, config.fastDiscovery ?? false, log, {
+    schemas: config.schemas,
+    wordlists: config.wordlists,
+    extraWords: config.extraWords,
+  });
+  const columnMetadata = parseOpenApiColumns(openApiSpec);
+  // Other schemas' OpenAPI columns are keyed schema.table so they never shadow public tables.
+  for (const s of schemas.filter((x) => x.openApiSpec)) {
+    for (const [tableName, columns] of Object.entries(parseOpenApiColumns(s.openApiSpec))) columnMetadata[`${s.name}.${tableName}`] = columns;
+  }
+  result.schemas = schemas.map(({ name, source, exposed, tables, error }) => ({ name, source, exposed, tables: tables.map((t) => t.table_name), error }));
+
+  result.functions = parseRpcFunctions(openApiSpec);
+  if (result.functions.length > 0) {
+    log(`\n🧩 Found ${result.functions.length} exposed RPC function(s):`);
+    result.functions.forEach((f) => {
+      log(`   - ${f.name}(${f.parameters.map((p) => `${p.name}${p.type ? ` ${p.type}` : ''}`).join(', ')}) [${f.volatility}]`);
+    });
+    if (config.probeRpc) await probeRpcFunctions(supabase, result.functions, log);
+  }
+  if (config.probeEdgeFunctions) {
+    result.edgeFunctions = await discoverEdgeFunctions(supabase, { openApiSpec, tables: tableList, request: scheduler.fetch }, log);
+  }
 
-  const tableList = await getSchemaInfo(supabase, config.fastDiscovery ?? false, log);
   if (!tableList?.length) {
     log('❌ No tables found or accessible');
     return result;
@@ -711,7 +1089,7 @@ export async function runExtraction(config, options = {}) {
 
   if (config.exportSql) {
     log('\n📝 Generating SQL schema export...');
-    const sqlContent = await generateSQLSchema(supabase, tableList, log);
+    const sqlContent = await generateSQLSchema(supabase, tableList, log, columnMetadata);
     const inBrowser = typeof window !== 'undefined';
     if (inBrowser) {
       result.exportSqlContent = sqlContent;
@@ -730,31 +1108,105 @@ export async function runExtraction(config, options = {}) {
   }
 
   log('\n🔄 Starting data extraction...');
-  for (const table of tableList) {
-    const extracted = await extractTableData(supabase, table, log);
-    const row = {
+  let dump;
+  if (config.dump) {
+    try {
+      dump = await createDumpSink(config);
+      log(`   💾 Full dump enabled (up to ${dump.maxRows} rows per table)`);
+    } catch (error) {
+      log('❌ Error opening dump file: ' + error.message);
+    }
+  }
+  // Tables run concurrently; each table's log lines are buffered and flushed together.
+  result.tables = await scheduler.map(tableList, async (table) => {
+    const lines = [];
+    const extracted = await extractTableData(supabase, table, (msg) => lines.push(msg), { columnMetadata, countMode, dump });
+    const secretFindings = detectSecrets(extracted.columns || [], extracted.sampleRows || []);
+    secretFindings.forEach((f) => {
+      lines.push(`   🔑 Possible ${f.secretType} in ${f.column} (${f.confidence} confidence${f.role ? `, role ${f.role}` : ''}): ${f.evidence}`);
+    });
+    lines.forEach((msg) => log(msg));
+    return {
       table_name: extracted.table_name,
       table_schema: extracted.table_schema,
       table_type: extracted.table_type,
       graphql_type: extracted.graphql_type,
       columns: extracted.columns,
+      relationships: extracted.relationships,
+      columnAccess: extracted.columnAccess,
       rowCount: extracted.rowCount,
+      rowCountMode: extracted.rowCountMode,
+      dump: extracted.dump,
       sampleRows: extracted.sampleRows,
       error: extracted.error,
-      piiFindings: [],
+      piiFindings: markPiiExposure(detectPII(extracted.columns || [], extracted.sampleRows || [], piiRules), extracted),
+      secretFindings,
     };
-    row.piiFindings = detectPII(extracted.columns || [], extracted.sampleRows || []);
-    result.tables.push(row);
-    await new Promise((r) => setTimeout(r, 500));
+  });
+
+  if (graphqlSchema?.collections.length > 0) {
+    result.graphql = await probeGraphqlCollections(supabase, graphqlSchema, log, { first: SAMPLE_ROWS_COUNT });
+  }
+
+  result.embedding = await probeEmbeddedRelations(supabase, result.tables, log, { sampleSize: SAMPLE_ROWS_COUNT });
+
+  if (config.writeProbe) {
+    log('\n✍️  Write probe: testing insert/update/delete without persisting changes...');
+    const readable = result.tables.find((t) => !t.error);
+    const method = readable && (await checkRollbackSupport(supabase, readable)) ? 'rollback' : 'noop';
+    result.writeProbe = { method };
+    log(method === 'rollback'
+      ? '   Server honours tx=rollback - probing writes against real rows inside rolled-back transactions'
+      : '   tx=rollback not honoured - probing with no-op writes (detects grants; RLS row checks not exercised)');
+    await scheduler.map(result.tables, async (row) => {
+      const probe = await probeTablePermissions(supabase, row, row, method);
+      row.permissions = probe.permissions;
+      row.permissionProbe = { method: probe.method, grants: probe.grants, details: probe.details };
+      const fullName = row.table_schema === 'public' ? row.table_name : `${row.table_schema}.${row.table_name}`;
+      const writable = probe.permissions.insert || probe.permissions.update || probe.permissions.delete;
+      const granted = Object.keys(probe.grants || {}).filter((verb) => probe.grants[verb]);
+      log(`   ${writable ? '⚠️ ' : '  '} ${fullName}: ${formatPermissions(probe.permissions)}${granted.length ? ` (grant only: ${granted.join(', ')})` : ''}`);
+    });
   }
   log('\n✨ Data extraction completed!');
+  if (dump) {
+    const content = await dump.close();
+    if (typeof window !== 'undefined') {
+      result.dumpContent = content;
+      result.dumpFilename = config.dump && config.dump.trim() ? config.dump.trim() : 'dump.ndjson';
+      log('✅ Data dump ready for download');
+    } else {
+      result.dumpPath = config.dump;
+      log(`✅ Data dump written to: ${config.dump}`);
+    }
+  }
+
+  result.storage = await analyzeStorageBuckets(supabase, log, scheduler, {
+    maxDepth: config.storageMaxDepth,
+    maxObjects: config.storageMaxObjects,
+    sampleContent: config.sampleStorage,
+    writeProbe: config.storageWriteProbe,
+    piiRules,
+  });
 
-  result.storage = await analyzeStorageBuckets(supabase, log);
+  if (config.identities?.length > 0) {
+    result.accessMatrix = await compareIdentities(config, result.tables, log, scheduler);
+  }
+
+  if (config.realtime) {
+    result.realtime = await checkRealtimeExposure(supabase, result.tables, { windowSeconds: config.realtimeWindow, token: config.token }, log);
+  }
+
+  if (config.signupProbe) {
+    result.authAudit.signupProbe = await probeSignupAccess(config, result.tables, result.authAudit, log, scheduler, !authResult);
+  }
 
   if (authResult) {
     await supabase.auth.signOut();
     log('🔓 Signed out successfully');
   }
 
+  result.requestStats = { ...scheduler.stats };
+  log(`📡 Requests: ${scheduler.stats.requests} (retries: ${scheduler.stats.retries}, throttled: ${scheduler.stats.throttled})`);
   return result;
 }
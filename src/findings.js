@@ -0,0 +1,344 @@
+/**
+ * Security findings derived from a runExtraction result: one entry per exposure,
+ * with a rule id, severity and a resource URI (table://schema.name, bucket://name, auth://settings).
+ */
+
+const RULES = {
+  'table-readable': {
+    name: 'TableReadable',
+    level: 'note',
+    description: 'A table can be read with the scan credentials.',
+  },
+  'auth-table-readable': {
+    name: 'AuthTableReadable',
+    level: 'error',
+    description: 'A table in the auth schema can be read with the scan credentials.',
+  },
+  'pii-column-exposed': {
+    name: 'PiiColumnExposed',
+    level: 'warning',
+    description: 'A readable table contains a column with suspected personal data (GDPR).',
+  },
+  'table-writable': {
+    name: 'TableWritable',
+    level: 'error',
+    description: 'The write probe showed the table accepts INSERT, UPDATE or DELETE from the scan identity.',
+  },
+  'bucket-public-reachable': {
+    name: 'PublicBucketReachable',
+    level: 'error',
+    description: 'A public storage bucket serves objects without authentication.',
+  },
+  'bucket-public': {
+    name: 'PublicBucket',
+    level: 'warning',
+    description: 'A storage bucket is configured as public.',
+  },
+  'bucket-private-public-url': {
+    name: 'PrivateBucketPublicUrl',
+    level: 'error',
+    description: 'Objects in a private bucket are served through the public URL pattern without authentication.',
+  },
+  'bucket-private-readable': {
+    name: 'PrivateBucketReadable',
+    level: 'warning',
+    description: 'The scan identity can download objects, or mint working signed URLs, in a private bucket.',
+  },
+  'bucket-writable': {
+    name: 'BucketWritable',
+    level: 'error',
+    description: 'The storage write probe could upload, overwrite or delete objects in a bucket.',
+  },
+  'graphql-type-exposed': {
+    name: 'GraphqlTypeExposed',
+    level: 'note',
+    description: 'A table is exposed as a queryable type through pg_graphql.',
+  },
+  'graphql-collection-readable': {
+    name: 'GraphqlCollectionReadable',
+    level: 'note',
+    description: 'A pg_graphql collection returned rows to the scan credentials.',
+  },
+  'graphql-mutation-exposed': {
+    name: 'GraphqlMutationExposed',
+    level: 'warning',
+    description: 'pg_graphql lists insert, update or delete mutations for a collection, so the role holds those privileges.',
+  },
+  'embedded-relation-leak': {
+    name: 'EmbeddedRelationLeak',
+    level: 'error',
+    description: 'Rows of a table come back when embedded through a foreign key, although a direct select on it is denied or empty.',
+  },
+  'secret-exposed': {
+    name: 'SecretExposed',
+    level: 'error',
+    description: 'A readable table contains a value that looks like a credential (API key, service key, private key, token).',
+  },
+  'storage-secret-path': {
+    name: 'StorageSecretPath',
+    level: 'warning',
+    description: 'A storage object path embeds a token or names a credential file (.env, private key).',
+  },
+  'storage-object-secret': {
+    name: 'StorageObjectSecret',
+    level: 'error',
+    description: 'A sampled storage object contains something that looks like a credential.',
+  },
+  'storage-object-pii': {
+    name: 'StorageObjectPii',
+    level: 'warning',
+    description: 'A sampled storage object contains suspected personal data (GDPR).',
+  },
+  'auth-signup-open': {
+    name: 'AuthSignupOpen',
+    level: 'warning',
+    description: 'Email or phone sign-up is open, so anyone can obtain an authenticated session.',
+  },
+  'auth-anonymous-signin': {
+    name: 'AuthAnonymousSignIn',
+    level: 'note',
+    description: 'Anonymous sign-ins are enabled; anonymous users get the authenticated role.',
+  },
+  'signup-grants-access': {
+    name: 'SignupGrantsAccess',
+    level: 'error',
+    description: 'A freshly signed-up throwaway user can read a table (or more rows) that anon cannot.',
+  },
+  'rpc-callable-anon': {
+    name: 'RpcCallableAnon',
+    level: 'warning',
+    description: 'A PostgREST RPC function can be called with the anon key.',
+  },
+  'realtime-changes-delivered': {
+    name: 'RealtimeChangesDelivered',
+    level: 'error',
+    description: 'Realtime delivered postgres_changes events for a table to the scan identity.',
+  },
+  'realtime-public-channel': {
+    name: 'RealtimePublicChannel',
+    level: 'note',
+    description: 'A public Realtime broadcast/presence channel could be joined and carried traffic.',
+  },
+  'edge-function-no-jwt': {
+    name: 'EdgeFunctionNoJwt',
+    level: 'warning',
+    description: 'An Edge Function runs without a JWT (deployed with --no-verify-jwt).',
+  },
+};
+
+/** Names and object paths are percent-encoded so the URIs stay valid in SARIF; slashes in paths are kept. */
+const encodePath = (path) => String(path).split('/').map(encodeURIComponent).join('/');
+const tableUri = (t) => `table://${encodeURIComponent(`${t.table_schema || 'public'}.${t.table_name}`)}`;
+const bucketUri = (bucket, path) => `bucket://${encodeURIComponent(bucket)}${path ? `/${encodePath(path)}` : ''}`;
+
+/**
+ * @param {object} result runExtraction result
+ * @returns {Array<{ ruleId: string, level: 'error' | 'warning' | 'note', message: string, uri: string, resource: { kind: 'table' | 'bucket' | 'function' | 'auth' | 'channel', schema?: string, name: string, column?: string, path?: string }, properties?: Record<string, unknown> }>}
+ */
+function collectFindings(result) {
+  const findings = [];
+  const add = (ruleId, message, uri, resource, properties) => {
+    findings.push({ ruleId, level: RULES[ruleId].level, message, uri, resource, properties });
+  };
+
+  for (const t of result.tables || []) {
+    const schema = t.table_schema || 'public';
+    const fullName = `${schema}.${t.table_name}`;
+    const resource = { kind: 'table', schema, name: t.table_name };
+    // The type is listed in the GraphQL schema whether or not REST reads succeed.
+    if (t.graphql_type || t.table_type === 'GRAPHQL_TYPE') {
+      add('graphql-type-exposed', `Table ${fullName} is exposed via GraphQL type ${t.graphql_type || t.table_name}.`, tableUri(t), resource, {
+        graphqlType: t.graphql_type,
+      });
+    }
+    if (t.error) continue;
+
+    const denied = t.columnAccess?.denied || [];
+    add('table-readable', `Table ${fullName} is readable (${t.rowCount ?? 0} rows${denied.length ? `; columns ${denied.join(', ')} denied` : ''}).`, tableUri(t), resource, {
+      rowCount: t.rowCount,
+      deniedColumns: denied.length ? denied : undefined,
+    });
+    if (schema === 'auth') {
+      add('auth-table-readable', `Auth table ${fullName} is readable (${t.rowCount ?? 0} rows).`, tableUri(t), resource, { rowCount: t.rowCount });
+    }
+    const piiEvidence = { value: 'matched column name and sample values', value_only: 'matched sample values', column_name: 'matched column name' };
+    // A REVOKEd column is not exposed, even when its name looks like PII.
+    for (const f of (t.piiFindings || []).filter((p) => p.exposed !== false)) {
+      add(
+        'pii-column-exposed',
+        `${f.path ? `JSON path ${fullName}.${f.path}` : `Column ${fullName}.${f.column}`} looks like ${f.piiType}${f.gdprCategory ? ` [${f.gdprCategory}]` : ''} (${piiEvidence[f.confidence] || piiEvidence.column_name}).`,
+        tableUri(t),
+        { ...resource, column: f.column },
+        { piiType: f.piiType, gdprCategory: f.gdprCategory, confidence: f.confidence, path: f.path, rowCount: t.rowCount }
+      );
+    }
+    // Low confidence covers anon keys and expired tokens, which are not secrets.
+    for (const f of (t.secretFindings || []).filter((s) => s.confidence !== 'low')) {
+      add(
+        'secret-exposed',
+        `Column ${fullName}.${f.column} contains a possible ${f.secretType} (${f.confidence} confidence): ${f.evidence}.`,
+        tableUri(t),
+        { ...resource, column: f.column },
+        { secretType: f.secretType, confidence: f.confidence, role: f.role }
+      );
+    }
+    const p = t.permissions;
+    // No-op probes only show grants (RLS is not exercised), so only rolled-back writes count.
+    if (p && t.permissionProbe?.method === 'rollback' && (p.insert || p.update || p.delete)) {
+      const verbs = ['insert', 'update', 'delete'].filter((v) => p[v]);
+      add('table-writable', `Table ${fullName} accepts ${verbs.join('/').toUpperCase()} from the scan identity.`, tableUri(t), resource, {
+        permissions: p,
+        probeMethod: t.permissionProbe?.method,
+      });
+    }
+  }
+
+  for (const c of result.graphql?.collections || []) {
+    const resource = { kind: 'table', schema: 'public', name: c.table };
+    const uri = tableUri({ table_name: c.table });
+    if (c.query?.readable && c.query.rows > 0) {
+      add('graphql-collection-readable', `GraphQL collection ${c.field} returned ${c.query.rows} row(s)${c.query.totalCount != null ? ` of ${c.query.totalCount}` : ''}.`, uri, resource, {
+        graphqlType: c.type,
+        columnsReadable: c.query.columnsReadable,
+      });
+    }
+    if (c.mutations.length) {
+      add('graphql-mutation-exposed', `GraphQL exposes ${c.mutations.join('/')} mutation(s) for ${c.field}.`, uri, resource, {
+        graphqlType: c.type,
+        mutations: c.mutations,
+      });
+    }
+  }
+
+  for (const e of (result.embedding || []).filter((x) => x.leak)) {
+    const resource = { kind: 'table', schema: e.table_schema, name: e.embedded };
+    const direct = e.direct.readable ? 'returns no rows' : 'is denied';
+    add('embedded-relation-leak', `Table ${e.table_schema}.${e.embedded} returned ${e.embeddedRows} row(s) embedded from ${e.table} via ${e.column}, while a direct select ${direct}.`, tableUri({ table_schema: e.table_schema, table_name: e.embedded }), resource, {
+      embeddedFrom: `${e.table_schema}.${e.table}`,
+      column: e.column,
+      relationship: e.kind,
+    });
+  }
+
+  for (const b of result.storage?.buckets || []) {
+    const resource = { kind: 'bucket', name: b.name };
+    if (b.publicUrlCheck?.verified > 0) {
+      add(
+        'bucket-public-reachable',
+        `Bucket ${b.name} is public and ${b.publicUrlCheck.verified}/${b.publicUrlCheck.sampleSize} sample object URLs were reachable without auth.`,
+        bucketUri(b.name),
+        resource,
+        { objectCount: b.objectCount }
+      );
+    } else if (b.public) {
+      add('bucket-public', `Bucket ${b.name} is configured as public.`, bucketUri(b.name), resource, { objectCount: b.objectCount });
+    }
+    const priv = b.privateAccessCheck;
+    if (priv?.publicUrlsServed > 0) {
+      add('bucket-private-public-url', `Bucket ${b.name} is private but ${priv.publicUrlsServed}/${priv.sampleSize} sample objects were served through the public URL.`, bucketUri(b.name), resource, {
+        objectCount: b.objectCount,
+      });
+    }
+    if (priv && (priv.downloaded > 0 || priv.signedUrlsServed > 0)) {
+      add('bucket-private-readable', `Private bucket ${b.name}: the scan identity downloaded ${priv.downloaded}/${priv.sampleSize} sample objects and ${priv.signedUrlsServed} signed URL(s) served the file.`, bucketUri(b.name), resource, {
+        downloaded: priv.downloaded,
+        signedUrls: priv.signedUrls,
+        signedUrlsServed: priv.signedUrlsServed,
+      });
+    }
+    const w = b.writeProbe?.permissions;
+    if (w && (w.upload || w.overwrite || w.delete)) {
+      const ops = ['upload', 'overwrite', 'delete'].filter((op) => w[op]);
+      add('bucket-writable', `Bucket ${b.name}${b.public ? ' (public)' : ''} allows ${ops.join('/')} from the scan identity.`, bucketUri(b.name), resource, {
+        permissions: w,
+        public: b.public,
+        leftovers: b.writeProbe.leftovers.length ? b.writeProbe.leftovers : undefined,
+      });
+    }
+    for (const o of b.contentSample?.objects || []) {
+      const uri = bucketUri(b.name, o.path);
+      const secrets = o.secretFindings.filter((f) => f.confidence !== 'low');
+      if (secrets.length) {
+        add('storage-object-secret', `Object ${b.name}/${o.path} contains possible ${[...new Set(secrets.map((f) => f.secretType))].join(', ')}.`, uri, { ...resource, path: o.path }, {
+          secretTypes: [...new Set(secrets.map((f) => f.secretType))],
+        });
+      }
+      if (o.piiFindings.length) {
+        const types = [...new Set(o.piiFindings.map((f) => f.piiType))];
+        add('storage-object-pii', `Object ${b.name}/${o.path} contains suspected ${types.join(', ')}.`, uri, { ...resource, path: o.path }, {
+          piiTypes: types,
+          gdprCategories: [...new Set(o.piiFindings.map((f) => f.gdprCategory))],
+        });
+      }
+    }
+    for (const f of (b.secretFindings || []).filter((s) => s.confidence !== 'low')) {
+      add('storage-secret-path', `Object ${b.name}/${f.path} looks like a ${f.secretType} (${f.confidence} confidence).`, bucketUri(b.name), resource, {
+        secretType: f.secretType,
+        confidence: f.confidence,
+      });
+    }
+  }
+
+  const authAudit = result.authAudit;
+  if (authAudit && !authAudit.error) {
+    const resource = { kind: 'auth', name: 'settings' };
+    if (authAudit.emailSignup || authAudit.phoneSignup) {
+      const open = [
+        authAudit.emailSignup ? `email${authAudit.emailAutoconfirm ? ' (autoconfirmed)' : ''}` : '',
+        authAudit.phoneSignup ? `phone${authAudit.phoneAutoconfirm ? ' (autoconfirmed)' : ''}` : '',
+      ].filter(Boolean);
+      add('auth-signup-open', `Sign-up is open via ${open.join(' and ')}.`, 'auth://settings', resource, {
+        emailAutoconfirm: authAudit.emailAutoconfirm,
+        phoneAutoconfirm: authAudit.phoneAutoconfirm,
+      });
+    }
+    if (authAudit.anonymousSignIns) {
+      add('auth-anonymous-signin', 'Anonymous sign-ins are enabled.', 'auth://settings', resource);
+    }
+    for (const t of authAudit.signupProbe?.tables || []) {
+      if (t.signupRows === null || (t.anonRows !== null && t.signupRows <= t.anonRows)) continue;
+      const schema = t.table_schema || 'public';
+      add(
+        'signup-grants-access',
+        `A throwaway ${authAudit.signupProbe.method} sign-up can read ${t.signupRows} row(s) of ${schema}.${t.table_name} (anon: ${t.anonRows ?? 'denied'}).`,
+        tableUri(t),
+        { kind: 'table', schema, name: t.table_name },
+        { anonRows: t.anonRows, signupRows: t.signupRows, method: authAudit.signupProbe.method }
+      );
+    }
+  }
+
+  for (const f of result.functions || []) {
+    if (!f.probe?.callable) continue;
+    add('rpc-callable-anon', `RPC function ${f.name} can be called with the anon key.`, `rpc://${encodeURIComponent(f.name)}`, { kind: 'function', name: f.name }, {
+      volatility: f.volatility,
+    });
+  }
+
+  for (const t of (result.realtime?.tables || []).filter((e) => e.events > 0)) {
+    add(
+      'realtime-changes-delivered',
+      `Realtime delivered ${t.events} change event(s) (${t.eventTypes.join(', ')}) for ${t.table_schema}.${t.table_name} within ${result.realtime.windowSeconds}s.`,
+      tableUri(t),
+      { kind: 'table', schema: t.table_schema, name: t.table_name },
+      { events: t.events, eventTypes: t.eventTypes }
+    );
+  }
+  for (const c of (result.realtime?.channels || []).filter((e) => e.subscribed && (e.broadcasts > 0 || e.presenceMembers > 0))) {
+    add('realtime-public-channel', `Public Realtime channel "${c.channel}" carried ${c.broadcasts} broadcast(s) and ${c.presenceMembers} presence member(s).`, `realtime://${encodeURIComponent(c.channel)}`, { kind: 'channel', name: c.channel }, {
+      broadcasts: c.broadcasts,
+      presenceMembers: c.presenceMembers,
+    });
+  }
+
+  for (const f of (result.edgeFunctions || []).filter((fn) => fn.verifyJwt === false)) {
+    add('edge-function-no-jwt', `Edge Function ${f.name} answers without credentials (HTTP ${f.status.anonymous}).`, `edge-function://${encodeURIComponent(f.name)}`, { kind: 'function', name: f.name }, {
+      status: f.status,
+      corsAllowOrigin: f.cors?.allowOrigin,
+    });
+  }
+
+  return findings;
+}
+
+export { collectFindings, RULES };
@@ -0,0 +1,198 @@
+/**
+ * pg_graphql exposure report: full introspection of /graphql/v1 into collections (with
+ * fields, types and relationships) and mutations, plus a bounded `first: N` query per
+ * collection to confirm through GraphQL itself whether data is readable.
+ */
+
+import { mapInBatches } from './util.js';
+
+const DEFAULT_SAMPLE_SIZE = 3;
+const BATCH_SIZE = 20;
+const MAX_ERROR_CHARS = 200;
+
+const TYPE_REF = 'kind name ofType { kind name ofType { kind name ofType { kind name } } }';
+const INTROSPECTION_QUERY = `
+  query SupamoleIntrospection {
+    __schema {
+      queryType { name }
+      mutationType { name }
+      types {
+        kind
+        name
+        description
+        fields { name args { name } type { ${TYPE_REF} } }
+      }
+    }
+  }
+`;
+
+/** Unwraps NON_NULL/LIST wrappers into the named type and a printable signature like `[Post!]!`. */
+function describeType(type) {
+  if (!type) return { name: null, kind: null, signature: '', nullable: true };
+  if (type.kind === 'NON_NULL') {
+    const inner = describeType(type.ofType);
+    return { ...inner, signature: `${inner.signature}!`, nullable: false };
+  }
+  if (type.kind === 'LIST') {
+    const inner = describeType(type.ofType);
+    return { ...inner, signature: `[${inner.signature}]`, nullable: true, list: true };
+  }
+  return { name: type.name, kind: type.kind, signature: type.name, nullable: true };
+}
+
+/** `blogPostCollection` -> `blog_post`; names without inflection (`user_profiles`) stay as they are. */
+function tableNameFromCollection(fieldName) {
+  return fieldName
+    .replace(/Collection$/, '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .toLowerCase();
+}
+
+const MUTATION_PATTERNS = [
+  ['insert', /^insertInto(\w+)Collection$/],
+  ['update', /^update(\w+)Collection$/],
+  ['delete', /^deleteFrom(\w+)Collection$/],
+];
+
+/**
+ * Collections are Query fields returning a `*Connection`; the node type behind `edges.node`
+ * is the table type. Its scalar and enum fields are columns, fields returning another node
+ * type are many-to-one relationships and fields returning a connection are one-to-many.
+ * @param {object} schema `__schema` from the introspection result
+ * @returns {{ collections: Array<{ field: string, type: string, table: string, hasTotalCount: boolean, fields: Array<{ name: string, type: string, nullable: boolean }>, relationships: Array<{ field: string, target: string, kind: 'many_to_one' | 'one_to_many' }>, mutations: string[] }>, mutations: Array<{ name: string, operation?: string, type?: string }>, queries: string[] }}
+ */
+function parseGraphqlSchema(schema) {
+  const types = new Map((schema?.types || []).map((t) => [t.name, t]));
+  const queryType = types.get(schema?.queryType?.name);
+  const mutationType = types.get(schema?.mutationType?.name);
+  const nodeTypeOf = (connectionName) => {
+    const edges = types.get(connectionName)?.fields?.find((f) => f.name === 'edges');
+    const edgeType = types.get(describeType(edges?.type).name);
+    const node = edgeType?.fields?.find((f) => f.name === 'node');
+    return describeType(node?.type).name;
+  };
+
+  const collections = [];
+  const queries = [];
+  for (const field of queryType?.fields || []) {
+    const returns = describeType(field.type);
+    if (!returns.name?.endsWith('Connection')) {
+      if (!['node', '__typename'].includes(field.name)) queries.push(field.name);
+      continue;
+    }
+    const nodeType = nodeTypeOf(returns.name);
+    const fields = [];
+    const relationships = [];
+    for (const f of types.get(nodeType)?.fields || []) {
+      const t = describeType(f.type);
+      if (t.kind === 'SCALAR' || t.kind === 'ENUM') {
+        fields.push({ name: f.name, type: t.signature, nullable: t.nullable });
+      } else if (t.kind === 'OBJECT' && t.name.endsWith('Connection')) {
+        relationships.push({ field: f.name, target: nodeTypeOf(t.name), kind: 'one_to_many' });
+      } else if (t.kind === 'OBJECT') {
+        relationships.push({ field: f.name, target: t.name, kind: 'many_to_one' });
+      }
+    }
+    collections.push({
+      field: field.name,
+      type: nodeType,
+      table: tableNameFromCollection(field.name),
+      hasTotalCount: Boolean(types.get(returns.name)?.fields?.some((f) => f.name === 'totalCount')),
+      fields,
+      relationships,
+      mutations: [],
+    });
+  }
+
+  const mutations = [];
+  for (const field of mutationType?.fields || []) {
+    const entry = { name: field.name };
+    for (const [operation, pattern] of MUTATION_PATTERNS) {
+      const match = field.name.match(pattern);
+      if (!match) continue;
+      // The captured name is the node type with its first letter upper-cased.
+      const collection = collections.find((c) => c.type?.toLowerCase() === match[1].toLowerCase());
+      entry.operation = operation;
+      entry.type = collection?.type ?? match[1];
+      if (collection) collection.mutations.push(operation);
+      break;
+    }
+    mutations.push(entry);
+  }
+  return { collections, mutations, queries };
+}
+
+async function graphqlRequest(supabase, query, headers) {
+  const response = await supabase.fetch(`${supabase.supabaseUrl}/graphql/v1`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({ query }),
+  });
+  const body = await response.json().catch(() => null);
+  return { status: response.status, ok: response.ok, data: body?.data, errors: body?.errors };
+}
+
+/**
+ * Introspects with the anon key, as table discovery always has.
+ * @returns {Promise<ReturnType<typeof parseGraphqlSchema> | null>} null when GraphQL is disabled or introspection is refused
+ */
+async function introspectGraphql(supabase) {
+  const { ok, data } = await graphqlRequest(supabase, INTROSPECTION_QUERY, {
+    apikey: supabase.supabaseKey,
+    Authorization: `Bearer ${supabase.supabaseKey}`,
+  });
+  if (!ok || !data?.__schema) return null;
+  return parseGraphqlSchema(data.__schema);
+}
+
+/**
+ * Runs `first: N` per collection as the scan identity, selecting every column. When a column
+ * is refused (column privileges), the query is retried with cursors only so row access is
+ * still confirmed. Mutations are listed from the schema, never executed.
+ * @param {object} supabase
+ * @param {ReturnType<typeof parseGraphqlSchema>} schema
+ * @param {(msg: string) => void} log
+ * @param {{ first?: number }} [options]
+ */
+async function probeGraphqlCollections(supabase, schema, log, options = {}) {
+  const first = Number(options.first) > 0 ? Number(options.first) : DEFAULT_SAMPLE_SIZE;
+  log(`\n🔗 GraphQL exposure: ${schema.collections.length} collection(s), ${schema.mutations.length} mutation(s)...`);
+  await mapInBatches(schema.collections, BATCH_SIZE, async (c) => {
+    const totalCount = c.hasTotalCount ? ' totalCount' : '';
+    const columns = c.fields.map((f) => f.name).join(' ');
+    const attempt = async (selection) => {
+      try {
+        return await graphqlRequest(supabase, `query { ${c.field}(first: ${first}) {${totalCount} edges { ${selection} } } }`, supabase.headers);
+      } catch (error) {
+        return { status: 0, errors: [{ message: error.message }] };
+      }
+    };
+    let res = await attempt(columns ? `node { ${columns} }` : 'cursor');
+    const columnError = res.errors?.length ? res.errors[0].message : undefined;
+    if (columnError && columns) res = await attempt('cursor');
+    const connection = res.data?.[c.field];
+    c.query = {
+      readable: Boolean(connection && !res.errors?.length),
+      rows: connection?.edges?.length ?? 0,
+      totalCount: connection?.totalCount ?? undefined,
+      columnsReadable: Boolean(connection) && !columnError,
+      error: (res.errors?.[0]?.message || columnError)?.slice(0, MAX_ERROR_CHARS),
+    };
+  });
+
+  for (const c of schema.collections) {
+    const q = c.query;
+    const rows = q.readable ? `${q.rows} row(s)${q.totalCount != null ? ` of ${q.totalCount}` : ''}${q.columnsReadable ? '' : ', columns refused'}` : `not readable${q.error ? ` (${q.error})` : ''}`;
+    const rels = c.relationships.length ? `, relations: ${c.relationships.map((r) => `${r.field} -> ${r.target}`).join(', ')}` : '';
+    const muts = c.mutations.length ? `, mutations: ${c.mutations.join('/')}` : '';
+    log(`   ${q.readable && q.rows > 0 ? '⚠️ ' : '  '} ${c.field} [${c.type}]: ${c.fields.length} field(s), ${rows}${rels}${muts}`);
+  }
+  const other = schema.mutations.filter((m) => !m.operation);
+  if (other.length) log(`   Other mutations: ${other.map((m) => m.name).join(', ')}`);
+  if (schema.queries.length) log(`   Other query fields: ${schema.queries.join(', ')}`);
+  const readable = schema.collections.filter((c) => c.query.readable && c.query.rows > 0).length;
+  log(`   GraphQL exposure completed: ${readable} collection(s) returned rows.`);
+  return schema;
+}
+
+export { introspectGraphql, parseGraphqlSchema, probeGraphqlCollections, tableNameFromCollection };
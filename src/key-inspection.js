@@ -0,0 +1,89 @@
+/**
+ * Inspection of the scan credentials: decodes the API key and bearer token (no signature
+ * check) and reports role, project ref, issuer and expiry, flagging service-role keys.
+ */
+
+import { decodeJwtPayload } from './secret-detection.js';
+
+/** `https://<ref>.supabase.co` (or .in); custom domains and local URLs have no ref. */
+function projectRefFromUrl(url) {
+  try {
+    const match = new URL(url).hostname.match(/^([a-z0-9]{20})\.supabase\.(co|in|net)$/i);
+    return match ? match[1].toLowerCase() : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+const toIso = (seconds) => (typeof seconds === 'number' ? new Date(seconds * 1000).toISOString() : undefined);
+
+/**
+ * @param {string} credential API key or bearer token
+ * @param {string} url Supabase project URL
+ * @returns {{ kind: 'jwt' | 'publishable_key' | 'secret_key' | 'unknown', role?: string, ref?: string, iss?: string, sub?: string, issuedAt?: string, expiresAt?: string, expired?: boolean, refMatchesUrl: boolean | null, warnings: string[] }}
+ */
+function inspectCredential(credential, url) {
+  const info = { kind: 'unknown', refMatchesUrl: null, warnings: [] };
+  const value = String(credential || '').trim();
+  const urlRef = projectRefFromUrl(url);
+
+  if (value.startsWith('sb_publishable_')) {
+    info.kind = 'publishable_key';
+    info.role = 'anon';
+    return info;
+  }
+  if (value.startsWith('sb_secret_')) {
+    info.kind = 'secret_key';
+    info.role = 'service_role';
+    info.warnings.push('This is a secret API key: it bypasses RLS, so findings show full access rather than public exposure.');
+    return info;
+  }
+
+  const payload = value.split('.').length === 3 ? decodeJwtPayload(value) : null;
+  if (!payload) {
+    info.warnings.push('Could not decode the credential as a JWT.');
+    return info;
+  }
+  info.kind = 'jwt';
+  info.role = typeof payload.role === 'string' ? payload.role : undefined;
+  info.iss = typeof payload.iss === 'string' ? payload.iss : undefined;
+  info.sub = typeof payload.sub === 'string' ? payload.sub : undefined;
+  // Anon/service keys carry `ref`; user tokens carry it in the issuer URL instead.
+  info.ref = typeof payload.ref === 'string' ? payload.ref : (info.iss && projectRefFromUrl(info.iss)) || undefined;
+  info.issuedAt = toIso(payload.iat);
+  info.expiresAt = toIso(payload.exp);
+  info.expired = typeof payload.exp === 'number' ? payload.exp * 1000 < Date.now() : undefined;
+  if (info.ref && urlRef) info.refMatchesUrl = info.ref === urlRef;
+
+  if (info.role === 'service_role') {
+    info.warnings.push('This is a service_role key: it bypasses RLS, so findings show full access rather than public exposure.');
+  }
+  if (info.expired) info.warnings.push(`Token expired at ${info.expiresAt}.`);
+  if (info.refMatchesUrl === false) info.warnings.push(`Token is for project ${info.ref}, but the URL is for ${urlRef}.`);
+  return info;
+}
+
+function formatCredential(label, info) {
+  const parts = [info.role ? `role ${info.role}` : `kind ${info.kind}`];
+  if (info.ref) parts.push(`ref ${info.ref}${info.refMatchesUrl === true ? ' (matches URL)' : info.refMatchesUrl === false ? ' (does NOT match URL)' : ''}`);
+  if (info.iss) parts.push(`iss ${info.iss}`);
+  if (info.expiresAt) parts.push(`${info.expired ? 'expired' : 'expires'} ${info.expiresAt}`);
+  return `   🔑 ${label}: ${parts.join(', ')}`;
+}
+
+/**
+ * Decodes config.key and config.token and logs the claims; service-role keys are logged loudly.
+ * @returns {{ key: ReturnType<typeof inspectCredential>, token?: ReturnType<typeof inspectCredential> }}
+ */
+function inspectCredentials(config, log) {
+  const credentials = { key: inspectCredential(config.key, config.url) };
+  if (config.token) credentials.token = inspectCredential(config.token, config.url);
+  for (const [label, info] of Object.entries(credentials)) {
+    log(formatCredential(label === 'key' ? 'API key' : 'Bearer token', info));
+    if (info.role === 'service_role') log('   🚨🚨🚨 SERVICE ROLE CREDENTIAL - NOT A PUBLIC KEY 🚨🚨🚨');
+    info.warnings.forEach((warning) => log(`   ${info.role === 'service_role' ? '🚨' : '⚠️ '} ${warning}`));
+  }
+  return credentials;
+}
+
+export { inspectCredential, inspectCredentials, projectRefFromUrl };
@@ -0,0 +1,69 @@
+/**
+ * Column metadata from the PostgREST OpenAPI document: Postgres types, nullability,
+ * defaults and primary/foreign key notes. Works when information_schema is blocked.
+ */
+
+const PK_NOTE = /<pk\/>/;
+const FK_NOTE = /<fk table='([^']+)' column='([^']+)'\/>/;
+
+/**
+ * @param {object | null} openApiSpec
+ * @returns {Record<string, Array<{ column_name: string, data_type: string, is_nullable: 'YES' | 'NO', column_default: string | null, ordinal_position: number, is_primary_key: boolean, foreign_key?: { table: string, column: string }, max_length?: number, enum_values?: string[], description?: string }>>}
+ */
+function parseOpenApiColumns(openApiSpec) {
+  const byTable = {};
+  for (const [tableName, definition] of Object.entries(openApiSpec?.definitions || {})) {
+    if (!definition?.properties) continue;
+    const required = new Set(definition.required || []);
+    byTable[tableName] = Object.entries(definition.properties).map(([columnName, prop], index) => {
+      const note = prop.description || '';
+      const fk = note.match(FK_NOTE);
+      // Descriptions carry a "Note:" block for keys; anything before it is the column comment.
+      const comment = note.split('\n\nNote:')[0].replace(/^Note:[\s\S]*$/, '').trim();
+      return {
+        column_name: columnName,
+        data_type: prop.format || prop.type || 'unknown',
+        is_nullable: required.has(columnName) ? 'NO' : 'YES',
+        column_default: prop.default != null ? String(prop.default) : null,
+        ordinal_position: index + 1,
+        is_primary_key: PK_NOTE.test(note),
+        foreign_key: fk ? { table: fk[1], column: fk[2] } : undefined,
+        max_length: prop.maxLength ?? undefined,
+        enum_values: prop.enum ?? undefined,
+        description: comment || undefined,
+      };
+    });
+  }
+  return byTable;
+}
+
+/**
+ * Adds key information from the OpenAPI columns to columns found some other way
+ * (information_schema, sampling), matching by name.
+ */
+function mergeKeyMetadata(columns, openApiColumns) {
+  if (!openApiColumns?.length) return columns;
+  const byName = new Map(openApiColumns.map((c) => [c.column_name, c]));
+  return columns.map((col) => {
+    const meta = byName.get(col.column_name);
+    if (!meta) return col;
+    return {
+      ...col,
+      data_type: col.data_type && col.data_type !== 'unknown' ? col.data_type : meta.data_type,
+      is_primary_key: meta.is_primary_key,
+      foreign_key: meta.foreign_key,
+    };
+  });
+}
+
+/**
+ * @param {Array<{ column_name: string, foreign_key?: { table: string, column: string } }> | null} columns
+ * @returns {Array<{ column: string, references: { table: string, column: string } }>}
+ */
+function relationshipsFromColumns(columns) {
+  return (columns || [])
+    .filter((c) => c.foreign_key)
+    .map((c) => ({ column: c.column_name, references: c.foreign_key }));
+}
+
+export { mergeKeyMetadata, parseOpenApiColumns, relationshipsFromColumns };
@@ -1,82 +1,417 @@
 /**
- * PII detection for GDPR review: checks column names and sample values
- * for suspected name, DOB, age, address, telephone.
+ * PII detection for GDPR review: matches column names (fuzzy, snake_case or camelCase)
+ * and sample values against rules for identity, contact, financial, national ID,
+ * online identifier, location and special-category (Art. 9) data.
  */
 
 const MAX_EXAMPLES = 5;
+const MAX_JSON_DEPTH = 8;
+const MAX_JSON_ARRAY_ITEMS = 50;
 
+/** GDPR categories; special_category is Article 9 data. */
+const GDPR_CATEGORIES = ['identity', 'contact', 'financial', 'national_id', 'online_identifier', 'location', 'special_category'];
+
+/** A trailing token like this means the column describes PII rather than holds it (email_verified, phone_id). */
+const NON_PII_SUFFIXES = new Set(['at', 'id', 'verified', 'confirmed', 'count', 'enabled', 'type', 'status', 'flag', 'hash']);
+
+const NUMERIC_TYPES = new Set([
+  'smallint', 'integer', 'bigint', 'int2', 'int4', 'int8', 'smallserial', 'serial', 'bigserial', 'serial2', 'serial4', 'serial8',
+  'numeric', 'decimal', 'real', 'double precision', 'float4', 'float8',
+]);
+
+const EMAIL = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/;
+const IBAN = /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/;
+const CARD = /\b\d(?:[ -]?\d){12,18}\b/;
+const UK_NI = /\b[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z] ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b/;
+const US_SSN = /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/;
+const IPV4 = /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/;
+const IPV6 = /\b(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}\b|\b(?:[0-9a-f]{1,4}:){1,6}:[0-9a-f]{1,4}\b/i;
+const LAT_LONG_PAIR = /^\(?\s*-?\d{1,2}\.\d{3,}\s*,\s*-?\d{1,3}\.\d{3,}\s*\)?$/;
+const HEALTH_TERMS = /\b(?:diagnos(?:is|ed)|prescri(?:bed|ption)|HIV|pregnan(?:t|cy)|chemotherapy|antidepressants?|diabet(?:es|ic)|disabilit(?:y|ies))\b/i;
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i += 1) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+function ibanValid(match) {
+  const iban = match.replace(/ /g, '');
+  if (iban.length < 15 || iban.length > 34) return false;
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const ch of rearranged) {
+    const value = /\d/.test(ch) ? ch : String(ch.charCodeAt(0) - 55);
+    for (const digit of value) remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+
+function latLongValid(match) {
+  const [lat, long] = match.replace(/[()\s]/g, '').split(',').map(Number);
+  return Math.abs(lat) <= 90 && Math.abs(long) <= 180;
+}
+
+/**
+ * Rule fields:
+ * - `columns`: terms matched against column name tokens (`phone` matches `user_phone`, `billingPhone`)
+ * - `exactColumns`: ambiguous terms matched only as the whole name (`name`, `state`)
+ * - `notColumns`: terms that rule a column out (`ip_address` for the address rule)
+ * - `valuePattern` / `validate`: checks sample values in matching columns
+ * - `valueOnlyPattern`: also reports matching values in any column, however it is named
+ * - `valueOnlyText`: value-only matches need a text value outside numeric and id columns
+ *   (a 16-digit bigint id can pass the Luhn check)
+ */
 const PII_RULES = [
   {
     piiType: 'name',
-    columnPattern: /^(name|first_name|last_name|full_name|customer_name|user_name|display_name|contact_name|recipient_name|sender_name)$/i,
+    gdprCategory: 'identity',
+    columns: ['first_name', 'last_name', 'full_name', 'middle_name', 'given_name', 'family_name', 'maiden_name', 'surname', 'customer_name', 'display_name', 'contact_name', 'recipient_name', 'sender_name'],
+    exactColumns: ['name', 'user_name'],
     valuePattern: /^[a-zA-Z\u00C0-\u024F\s'-]{2,80}$/,
   },
   {
     piiType: 'dob',
-    columnPattern: /^(dob|date_of_birth|birth_date|birthdate|birth_day|dateofbirth)$/i,
+    gdprCategory: 'identity',
+    columns: ['dob', 'date_of_birth', 'birth_date', 'birthdate', 'birthday', 'birth_day'],
     valuePattern: /^\d{4}-\d{2}-\d{2}$|^\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4}$/,
   },
   {
     piiType: 'age',
-    columnPattern: /^(age|user_age|customer_age)$/i,
+    gdprCategory: 'identity',
+    exactColumns: ['age', 'user_age', 'customer_age'],
     valuePattern: /^\s*(?:1[0-1]\d|[1-9]?\d|120)\s*$/,
   },
   {
     piiType: 'address',
-    columnPattern: /^(address|street|address_line|city|postcode|zip|zipcode|postal_code|country|state|region)$/i,
-    valuePattern: null, // optional: postcode could be \d{5}(-\d{4})? for US, etc.
+    gdprCategory: 'location',
+    columns: ['address', 'street', 'address_line', 'postcode', 'post_code', 'zipcode', 'zip_code', 'postal_code'],
+    exactColumns: ['city', 'town', 'county', 'zip', 'country', 'state', 'region'],
+    notColumns: ['ip_address', 'email_address', 'mac_address', 'wallet_address'],
+    valuePattern: null,
   },
   {
     piiType: 'telephone',
-    columnPattern: /^(phone|telephone|mobile|tel|cell|contact_number|phone_number|mobile_number)$/i,
+    gdprCategory: 'contact',
+    columns: ['phone', 'telephone', 'mobile', 'contact_number', 'phone_number', 'mobile_number', 'fax'],
+    exactColumns: ['tel', 'cell'],
     valuePattern: /^[\d\s\-+()]{10,20}$|^\+?[\d\s\-()]{10,}$/,
   },
+  {
+    piiType: 'email',
+    gdprCategory: 'contact',
+    columns: ['email', 'e_mail', 'email_address'],
+    exactColumns: ['mail'],
+    valuePattern: EMAIL,
+    valueOnlyPattern: EMAIL,
+  },
+  {
+    piiType: 'iban',
+    gdprCategory: 'financial',
+    columns: ['iban', 'bank_account', 'account_number'],
+    valuePattern: IBAN,
+    valueOnlyPattern: IBAN,
+    validate: ibanValid,
+  },
+  {
+    piiType: 'payment_card',
+    gdprCategory: 'financial',
+    columns: ['card_number', 'credit_card', 'debit_card', 'cc_number', 'card_no'],
+    exactColumns: ['pan'],
+    valuePattern: CARD,
+    valueOnlyPattern: CARD,
+    valueOnlyText: true,
+    validate: (match) => {
+      const digits = match.replace(/\D/g, '');
+      return /^[2-6]/.test(digits) && luhnValid(digits);
+    },
+  },
+  {
+    piiType: 'uk_national_insurance',
+    gdprCategory: 'national_id',
+    columns: ['ni_number', 'national_insurance', 'national_insurance_number', 'ni_no'],
+    exactColumns: ['nino', 'nin'],
+    valuePattern: UK_NI,
+    valueOnlyPattern: UK_NI,
+    validate: (match) => !/^(BG|GB|NK|KN|TN|NT|ZZ)/.test(match),
+  },
+  {
+    piiType: 'us_ssn',
+    gdprCategory: 'national_id',
+    columns: ['ssn', 'social_security', 'social_security_number'],
+    valuePattern: /^(?!000|666|9\d\d)\d{3}-?(?!00)\d{2}-?(?!0000)\d{4}$/,
+    valueOnlyPattern: US_SSN,
+  },
+  {
+    piiType: 'ip_address',
+    gdprCategory: 'online_identifier',
+    columns: ['ip', 'ip_address', 'ip_addr', 'remote_addr', 'client_ip'],
+    valuePattern: new RegExp(`${IPV4.source}|${IPV6.source}`, 'i'),
+    valueOnlyPattern: new RegExp(`${IPV4.source}|${IPV6.source}`, 'i'),
+  },
+  {
+    piiType: 'geolocation',
+    gdprCategory: 'location',
+    columns: ['latitude', 'longitude', 'lat', 'lng', 'lon', 'geo', 'geolocation', 'coordinates', 'gps', 'location'],
+    valuePattern: /^-?\d{1,3}\.\d{3,}$|^\(?\s*-?\d{1,2}\.\d{3,}\s*,\s*-?\d{1,3}\.\d{3,}\s*\)?$/,
+    valueOnlyPattern: LAT_LONG_PAIR,
+    validate: (match) => !match.includes(',') || latLongValid(match),
+  },
+  {
+    piiType: 'health',
+    gdprCategory: 'special_category',
+    columns: ['health', 'medical', 'diagnosis', 'allergy', 'allergies', 'medication', 'medications', 'prescription', 'disability', 'symptoms', 'blood_type', 'pregnancy', 'mental_health'],
+    valuePattern: null,
+    valueOnlyPattern: HEALTH_TERMS,
+  },
+  {
+    piiType: 'biometric_genetic',
+    gdprCategory: 'special_category',
+    columns: ['biometric', 'biometrics', 'fingerprint', 'face_template', 'genetic', 'dna'],
+    valuePattern: null,
+  },
+  {
+    piiType: 'beliefs',
+    gdprCategory: 'special_category',
+    columns: ['religion', 'religious', 'faith', 'political', 'political_opinion', 'political_party', 'trade_union', 'union_member', 'union_membership'],
+    valuePattern: null,
+  },
+  {
+    piiType: 'ethnicity',
+    gdprCategory: 'special_category',
+    columns: ['ethnicity', 'ethnic_origin', 'ethnic_group'],
+    exactColumns: ['race'],
+    valuePattern: null,
+  },
+  {
+    piiType: 'sex_life',
+    gdprCategory: 'special_category',
+    columns: ['sexual_orientation', 'sexuality', 'sex_life'],
+    valuePattern: null,
+  },
 ];
 
+/** Splits snake_case, kebab-case and camelCase names into lower-case tokens. */
+function columnTokens(name) {
+  return String(name)
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+function containsTerm(tokens, term, { exact = false } = {}) {
+  const termTokens = term.split('_');
+  const compact = tokens.join('');
+  if (compact === termTokens.join('')) return true;
+  if (exact) return false;
+  for (let i = 0; i + termTokens.length <= tokens.length; i += 1) {
+    if (!termTokens.every((t, j) => tokens[i + j] === t || tokens[i + j] === `${t}s`)) continue;
+    const end = i + termTokens.length;
+    if (end < tokens.length && NON_PII_SUFFIXES.has(tokens[tokens.length - 1])) continue;
+    return true;
+  }
+  return false;
+}
+
+function matchesColumn(rule, columnName) {
+  const tokens = columnTokens(columnName);
+  if ((rule.notColumns || []).some((term) => containsTerm(tokens, term))) return false;
+  if (rule.columnPattern && rule.columnPattern.test(columnName)) return true;
+  return (rule.columns || []).some((term) => containsTerm(tokens, term)) ||
+    (rule.exactColumns || []).some((term) => containsTerm(tokens, term, { exact: true }));
+}
+
+/** Text values of a field that is neither numeric nor named like an id (`id`, `user_id`, `orderId`). */
+function textValues(field) {
+  if (NUMERIC_TYPES.has(String(field.type || '').toLowerCase())) return [];
+  if (columnTokens(field.key).pop() === 'id') return [];
+  return field.texts;
+}
+
+/** Returns the matching part of the value, or null. Value-only matches keep just the match, not the whole text. */
+function matchValue(pattern, validate, str) {
+  const match = str.match(pattern);
+  if (!match) return null;
+  if (validate && !validate(match[0])) return null;
+  return match[0];
+}
+
 /**
- * @param {Array<{ column_name: string, data_type?: string }>} tableColumns
- * @param {Array<Record<string, unknown>>} sampleRows
- * @returns {Array<{ column: string, piiType: string, confidence: 'column_name' | 'value', examples: string[] }>}
+ * Walks a JSON value and adds one field per nested key: leaves collect their scalar values,
+ * objects and arrays are kept (without values) so their keys are matched too. Array
+ * indices collapse to `[]` so rows with different array lengths share a path.
  */
-function detectPII(tableColumns, sampleRows) {
+function collectJsonFields(value, path, key, fields, depth = 0) {
+  if (depth > MAX_JSON_DEPTH) return;
+  let field = fields.get(path);
+  if (!field) {
+    field = { path, key, values: [], texts: [], container: false };
+    fields.set(path, field);
+  }
+  if (Array.isArray(value)) {
+    field.container = true;
+    value.slice(0, MAX_JSON_ARRAY_ITEMS).forEach((item) => collectJsonFields(item, `${path}[]`, key, fields, depth + 1));
+  } else if (value && typeof value === 'object') {
+    field.container = true;
+    for (const [k, v] of Object.entries(value)) collectJsonFields(v, `${path}.${k}`, k, fields, depth + 1);
+  } else if (value != null && value !== '' && typeof value !== 'boolean') {
+    field.values.push(String(value).trim());
+    if (typeof value === 'string') field.texts.push(value.trim());
+  }
+}
+
+function scanField(field, rules) {
   const findings = [];
-  if (!tableColumns || tableColumns.length === 0) return findings;
-
-  const columnNames = tableColumns.map((c) => c.column_name);
-
-  for (const rule of PII_RULES) {
-    for (const colName of columnNames) {
-      if (!rule.columnPattern.test(colName)) continue;
-
-      const examples = [];
-      let confidence = 'column_name';
-
-      if (Array.isArray(sampleRows) && sampleRows.length > 0) {
-        const values = new Set();
-        for (const row of sampleRows) {
-          const v = row[colName];
-          if (v == null || v === '') continue;
-          const str = String(v).trim();
-          if (rule.valuePattern && rule.valuePattern.test(str)) {
-            values.add(str);
-            confidence = 'value';
-          } else if (!rule.valuePattern) {
-            values.add(str);
-          }
+  for (const rule of rules) {
+    const examples = new Set();
+    let confidence = null;
+    if (matchesColumn(rule, field.key)) {
+      confidence = 'column_name';
+      for (const str of field.values) {
+        if (!rule.valuePattern) {
+          examples.add(str);
+        } else if (matchValue(rule.valuePattern, rule.validate, str) !== null) {
+          examples.add(str);
+          confidence = 'value';
         }
-        examples.push(...Array.from(values).slice(0, MAX_EXAMPLES));
       }
+    } else if (rule.valueOnlyPattern) {
+      for (const str of rule.valueOnlyText ? textValues(field) : field.values) {
+        const match = matchValue(rule.valueOnlyPattern, rule.validate, str);
+        if (match !== null) examples.add(match);
+      }
+      if (examples.size > 0) confidence = 'value_only';
+    }
+    if (!confidence) continue;
+    findings.push({ piiType: rule.piiType, gdprCategory: rule.gdprCategory, confidence, examples: Array.from(examples).slice(0, MAX_EXAMPLES) });
+  }
+  return findings;
+}
 
-      findings.push({
-        column: colName,
-        piiType: rule.piiType,
-        confidence,
-        examples,
-      });
+/**
+ * Object values (json/jsonb) are walked, and nested findings carry a `path` such as
+ * `metadata.contact.phone`; `column` is always the top-level column.
+ * @param {Array<{ column_name: string, data_type?: string }>} tableColumns
+ * @param {Array<Record<string, unknown>>} sampleRows
+ * @param {Array<object>} [rules] defaults to PII_RULES; see withCustomRules()
+ * @returns {Array<{ column: string, path?: string, piiType: string, gdprCategory: string, confidence: 'column_name' | 'value' | 'value_only', examples: string[] }>}
+ */
+function detectPII(tableColumns, sampleRows, rules = PII_RULES) {
+  const findings = [];
+  const rows = Array.isArray(sampleRows) ? sampleRows : [];
+  const columns = (tableColumns || []).map((c) => ({ name: c.column_name, type: c.data_type }));
+  const known = new Set(columns.map((c) => c.name));
+  rows.forEach((row) => Object.keys(row || {}).forEach((k) => {
+    if (!known.has(k)) {
+      known.add(k);
+      columns.push({ name: k });
+    }
+  }));
+
+  for (const { name: colName, type } of columns) {
+    if (type === 'boolean') continue;
+    const cells = rows.map((row) => row?.[colName]).filter((v) => v != null && v !== '');
+    const values = cells.filter((v) => typeof v !== 'object').map((v) => String(v).trim());
+    const texts = cells.filter((v) => typeof v === 'string').map((v) => v.trim());
+    const columnFindings = scanField({ key: colName, type, values, texts }, rules);
+
+    const nested = new Map();
+    cells.filter((v) => typeof v === 'object').forEach((v) => {
+      if (Array.isArray(v)) collectJsonFields(v, colName, colName, nested);
+      else for (const [k, child] of Object.entries(v)) collectJsonFields(child, `${colName}.${k}`, k, nested);
+    });
+    const nestedFindings = [...nested.values()].flatMap((field) =>
+      scanField(field, rules).map((f) => ({ column: colName, path: field.path, container: field.container, ...f }))
+    );
+    // A matching key (metadata.address, or the column itself) is redundant when a value under it matched the same rule.
+    const isCovered = (path, piiType) => nestedFindings.some((o) => o.piiType === piiType && o.path !== path && (o.path.startsWith(`${path}.`) || o.path.startsWith(`${path}[]`)));
+    for (const f of columnFindings) {
+      if (f.confidence === 'column_name' && isCovered(colName, f.piiType)) continue;
+      findings.push({ column: colName, ...f });
+    }
+    for (const { container, ...f } of nestedFindings) {
+      if (f.path === colName && columnFindings.some((o) => o.piiType === f.piiType)) continue;
+      if (container && isCovered(f.path, f.piiType)) continue;
+      findings.push(f);
     }
   }
 
   return findings;
 }
 
-export { detectPII, PII_RULES };
+const RULE_KEYS = ['piiType', 'gdprCategory', 'columns', 'exactColumns', 'notColumns', 'columnPattern', 'valuePattern', 'valueOnly'];
+
+/**
+ * Custom rules file (JSON, or YAML for .yml/.yaml): `{ rules: [{ piiType, gdprCategory, columns?,
+ * exactColumns?, notColumns?, columnPattern?, valuePattern?, valueOnly? }] }`. Patterns are regex
+ * strings; column patterns are case-insensitive.
+ * @param {string} text
+ * @param {string} [filename]
+ * @returns {Promise<Array<object>>} compiled rules for withCustomRules()
+ */
+async function parsePiiRules(text, filename = '') {
+  let doc;
+  if (/\.ya?ml$/i.test(filename)) {
+    const { parse } = await import('yaml');
+    doc = parse(text);
+  } else {
+    doc = JSON.parse(text);
+  }
+  const list = Array.isArray(doc) ? doc : doc?.rules;
+  if (!Array.isArray(list)) throw new Error('PII rules file must contain a "rules" array');
+  return list.map((rule, i) => {
+    const where = `rule ${i + 1}${rule?.piiType ? ` (${rule.piiType})` : ''}`;
+    if (!rule || typeof rule !== 'object') throw new Error(`${where} must be an object`);
+    const unknown = Object.keys(rule).filter((k) => !RULE_KEYS.includes(k));
+    if (unknown.length) throw new Error(`${where}: unknown key(s) ${unknown.join(', ')}`);
+    if (!rule.piiType) throw new Error(`${where}: piiType is required`);
+    for (const key of ['columns', 'exactColumns', 'notColumns']) {
+      if (rule[key] != null && !(Array.isArray(rule[key]) && rule[key].every((term) => typeof term === 'string'))) {
+        throw new Error(`${where}: ${key} must be an array of strings`);
+      }
+    }
+    for (const key of ['columnPattern', 'valuePattern']) {
+      if (rule[key] != null && typeof rule[key] !== 'string') throw new Error(`${where}: ${key} must be a regex string`);
+    }
+    if (!GDPR_CATEGORIES.includes(rule.gdprCategory)) throw new Error(`${where}: gdprCategory must be one of ${GDPR_CATEGORIES.join(', ')}`);
+    if (!rule.columns && !rule.exactColumns && !rule.columnPattern && !rule.valueOnly) {
+      throw new Error(`${where}: needs columns, exactColumns, columnPattern or valueOnly`);
+    }
+    if (rule.valueOnly && !rule.valuePattern) throw new Error(`${where}: valueOnly needs a valuePattern`);
+    const compile = (source, flags) => {
+      try {
+        return new RegExp(source, flags);
+      } catch (error) {
+        throw new Error(`${where}: ${error.message}`);
+      }
+    };
+    const valuePattern = rule.valuePattern ? compile(rule.valuePattern) : null;
+    return {
+      piiType: String(rule.piiType),
+      gdprCategory: rule.gdprCategory,
+      columns: rule.columns,
+      exactColumns: rule.exactColumns,
+      notColumns: rule.notColumns,
+      columnPattern: rule.columnPattern ? compile(rule.columnPattern, 'i') : undefined,
+      valuePattern,
+      valueOnlyPattern: rule.valueOnly ? valuePattern : undefined,
+    };
+  });
+}
+
+/** Custom rules are added to the defaults; a custom rule with a built-in piiType replaces it. */
+function withCustomRules(customRules) {
+  if (!customRules?.length) return PII_RULES;
+  const overridden = new Set(customRules.map((r) => r.piiType));
+  return [...PII_RULES.filter((r) => !overridden.has(r.piiType)), ...customRules];
+}
+
+export { detectPII, parsePiiRules, withCustomRules, columnTokens, GDPR_CATEGORIES, PII_RULES };
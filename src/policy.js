@@ -0,0 +1,117 @@
+/**
+ * Policy evaluation for CI gating: says which findings are expected (allowlists)
+ * and which severity fails the run. Policies are JSON or YAML.
+ *
+ * {
+ *   "failOn": "warning",
+ *   "tables": { "allowPublic": ["public.products"], "allowWrite": [], "allowSignup": ["public.posts"], "allowRealtime": ["public.messages"] },
+ *   "buckets": { "allowPublic": ["avatars"], "allowRead": ["documents"], "allowWrite": ["uploads"] },
+ *   "functions": { "allowPublic": ["get_stats", "hello-world"] },
+ *   "pii": { "allow": { "public.profiles": ["name"] } },
+ *   "ignoreRules": ["graphql-type-exposed"]
+ * }
+ */
+
+import { collectFindings } from './findings.js';
+
+const LEVELS = ['note', 'warning', 'error'];
+const POLICY_KEYS = ['failOn', 'tables', 'buckets', 'functions', 'pii', 'ignoreRules'];
+
+/** Glob patterns (`*`) over `schema.table`; a bare name means the public schema. */
+function matches(patterns, name) {
+  return (patterns || []).some((pattern) => {
+    const qualified = String(pattern).includes('.') || !name.includes('.') ? String(pattern) : `public.${pattern}`;
+    const re = new RegExp(`^${qualified.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+    return re.test(name);
+  });
+}
+
+/**
+ * @param {string} text
+ * @param {string} [filename] used to pick YAML for .yml/.yaml
+ * @returns {Promise<object>}
+ */
+async function parsePolicy(text, filename = '') {
+  let policy;
+  if (/\.ya?ml$/i.test(filename)) {
+    const { parse } = await import('yaml');
+    policy = parse(text) || {};
+  } else {
+    policy = JSON.parse(text);
+  }
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) throw new Error('Policy must be an object');
+  const unknown = Object.keys(policy).filter((k) => !POLICY_KEYS.includes(k));
+  if (unknown.length) throw new Error(`Unknown policy key(s): ${unknown.join(', ')}`);
+  if (policy.failOn && !LEVELS.includes(policy.failOn)) throw new Error(`failOn must be one of: ${LEVELS.join(', ')}`);
+  return policy;
+}
+
+function isAllowed(finding, policy) {
+  const { resource } = finding;
+  const tableName = resource.schema ? `${resource.schema}.${resource.name}` : resource.name;
+  switch (finding.ruleId) {
+    case 'table-readable':
+    case 'auth-table-readable':
+    case 'graphql-collection-readable':
+      return matches(policy.tables?.allowPublic, tableName);
+    case 'table-writable':
+    case 'graphql-mutation-exposed':
+      return matches(policy.tables?.allowWrite, tableName);
+    case 'realtime-changes-delivered':
+      return matches(policy.tables?.allowRealtime, tableName);
+    case 'signup-grants-access':
+      return matches(policy.tables?.allowSignup, tableName);
+    case 'bucket-public':
+    case 'bucket-public-reachable':
+      return matches(policy.buckets?.allowPublic, resource.name);
+    case 'bucket-private-readable':
+      return matches(policy.buckets?.allowRead, resource.name);
+    case 'bucket-writable':
+      return matches(policy.buckets?.allowWrite, resource.name);
+    case 'rpc-callable-anon':
+    case 'edge-function-no-jwt':
+      return matches(policy.functions?.allowPublic, resource.name);
+    case 'pii-column-exposed': {
+      const allow = policy.pii?.allow || {};
+      return Object.entries(allow).some(([pattern, types]) => {
+        if (!matches([pattern], tableName)) return false;
+        const list = Array.isArray(types) ? types : [types];
+        return list.includes('*') || list.includes(finding.properties?.piiType) || list.includes(finding.properties?.gdprCategory) || list.includes(resource.column) || list.includes(finding.properties?.path);
+      });
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * A finding violates the policy when it is not allowlisted and either its level reaches
+ * failOn, or it is a readable table while the policy declares a table allowlist.
+ * @param {object} result runExtraction result
+ * @param {object} policy parsed policy
+ * @returns {{ violations: Array<object>, allowed: number, ignored: number, failOn: string }}
+ */
+function evaluatePolicy(result, policy) {
+  const failOn = policy.failOn || 'warning';
+  const threshold = LEVELS.indexOf(failOn);
+  const ignore = new Set(policy.ignoreRules || []);
+  const violations = [];
+  let allowed = 0;
+  let ignored = 0;
+
+  for (const finding of collectFindings(result)) {
+    if (ignore.has(finding.ruleId)) {
+      ignored += 1;
+      continue;
+    }
+    if (isAllowed(finding, policy)) {
+      allowed += 1;
+      continue;
+    }
+    const enforcedAllowlist = finding.ruleId === 'table-readable' && Array.isArray(policy.tables?.allowPublic);
+    if (enforcedAllowlist || LEVELS.indexOf(finding.level) >= threshold) violations.push(finding);
+  }
+  return { violations, allowed, ignored, failOn };
+}
+
+export { evaluatePolicy, parsePolicy };
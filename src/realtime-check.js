@@ -0,0 +1,128 @@
+/**
+ * Realtime exposure check: opens one Realtime connection with the scan's credentials,
+ * subscribes to postgres_changes on each table and joins common public broadcast/presence
+ * channels, then listens for a short window and reports what was accepted or delivered.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+const DEFAULT_WINDOW_SECONDS = 10;
+/** Realtime allows 100 channels per connection by default; a few are kept for the public channels. */
+const MAX_TABLE_CHANNELS = 85;
+const COMMON_CHANNELS = ['public', 'global', 'general', 'lobby', 'room', 'chat', 'online', 'presence', 'notifications', 'updates', 'events', 'test'];
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/** Node < 22 has no global WebSocket; realtime-js takes the ws package as its transport instead. */
+async function defaultTransport() {
+  if (typeof WebSocket !== 'undefined') return undefined;
+  const { default: ws } = await import('ws');
+  return ws;
+}
+
+/** Resolves with the first final subscribe status, or TIMED_OUT after timeoutMs. */
+function subscribe(channel, timeoutMs) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => resolve({ status: 'TIMED_OUT' }), timeoutMs);
+    channel.subscribe((status, error) => {
+      clearTimeout(timer);
+      resolve({ status, error: error?.message });
+    });
+  });
+}
+
+/**
+ * @param {object} supabase scan client (URL, key and signed-in session are reused)
+ * @param {Array<{ table_name: string, table_schema?: string }>} tables
+ * @param {{ windowSeconds?: number, token?: string, transport?: Function }} options transport overrides the WebSocket implementation (e.g. for a local stand-in)
+ * @param {(msg: string) => void} log
+ * @returns {Promise<{ connected: boolean, error?: string, windowSeconds: number, tables: Array<{ table_name: string, table_schema: string, subscribed: boolean | null, events: number, eventTypes: string[], error?: string }>, channels: Array<{ channel: string, subscribed: boolean | null, broadcasts: number, presenceMembers: number, error?: string }>, skippedTables: number }>}
+ */
+async function checkRealtimeExposure(supabase, tables, options, log) {
+  const windowSeconds = Number(options.windowSeconds) > 0 ? Number(options.windowSeconds) : DEFAULT_WINDOW_SECONDS;
+  const windowMs = windowSeconds * 1000;
+  log(`\n📡 Realtime exposure check (listening for ${windowSeconds}s)...`);
+  const out = { connected: false, windowSeconds, tables: [], channels: [], skippedTables: Math.max(0, tables.length - MAX_TABLE_CHANNELS) };
+
+  let client;
+  try {
+    const transport = options.transport || (await defaultTransport());
+    client = createClient(supabase.supabaseUrl, supabase.supabaseKey, {
+      auth: { persistSession: false, autoRefreshToken: false, storageKey: 'supamole-realtime' },
+      realtime: { timeout: windowMs, ...(transport ? { transport } : {}) },
+    });
+    const { data } = await supabase.auth.getSession();
+    const token = data?.session?.access_token || options.token;
+    if (token) await client.realtime.setAuth(token);
+  } catch (error) {
+    out.error = error.message;
+    log(`   ❌ Realtime unavailable: ${error.message}`);
+    return out;
+  }
+
+  const pending = [];
+  for (const table of tables.slice(0, MAX_TABLE_CHANNELS)) {
+    const schema = table.table_schema || 'public';
+    const entry = { table_name: table.table_name, table_schema: schema, subscribed: null, events: 0, eventTypes: [] };
+    const channel = client
+      .channel(`supamole-${schema}-${table.table_name}`)
+      .on('postgres_changes', { event: '*', schema, table: table.table_name }, (payload) => {
+        entry.events += 1;
+        if (!entry.eventTypes.includes(payload.eventType)) entry.eventTypes.push(payload.eventType);
+      })
+      // The join can succeed while the server then refuses the changes subscription in a system message.
+      .on('system', {}, (payload) => {
+        if (payload?.status === 'error') entry.error = payload.message;
+      });
+    out.tables.push(entry);
+    pending.push(subscribe(channel, windowMs).then(({ status, error }) => {
+      entry.subscribed = status === 'SUBSCRIBED' ? true : status === 'CHANNEL_ERROR' ? false : null;
+      if (error) entry.error = error;
+    }));
+  }
+  for (const name of COMMON_CHANNELS) {
+    const entry = { channel: name, subscribed: null, broadcasts: 0, presenceMembers: 0 };
+    const channel = client.channel(name, { config: { broadcast: { self: false }, presence: { key: '' } } });
+    channel
+      .on('broadcast', { event: '*' }, () => {
+        entry.broadcasts += 1;
+      })
+      .on('presence', { event: 'sync' }, () => {
+        entry.presenceMembers = Object.keys(channel.presenceState()).length;
+      });
+    out.channels.push(entry);
+    pending.push(subscribe(channel, windowMs).then(({ status, error }) => {
+      entry.subscribed = status === 'SUBSCRIBED' ? true : status === 'CHANNEL_ERROR' ? false : null;
+      if (error) entry.error = error;
+    }));
+  }
+
+  await Promise.all(pending);
+  out.connected = client.realtime.isConnected();
+  if (out.connected) await sleep(windowMs);
+  await client.removeAllChannels();
+  client.realtime.disconnect();
+
+  for (const entry of out.tables) {
+    if (entry.error && entry.subscribed) entry.subscribed = false;
+  }
+  if (!out.connected) {
+    log('   ❌ Could not connect to Realtime (disabled, blocked or wrong URL).');
+    return out;
+  }
+  for (const t of out.tables.filter((e) => e.subscribed || e.events > 0)) {
+    const full = t.table_schema === 'public' ? t.table_name : `${t.table_schema}.${t.table_name}`;
+    log(`   ${t.events > 0 ? '⚠️ ' : '  '} ${full}: subscription accepted, ${t.events} change event(s)${t.eventTypes.length ? ` (${t.eventTypes.join(', ')})` : ''}`);
+  }
+  const joined = out.channels.filter((e) => e.subscribed);
+  if (joined.length) log(`   Public channels joined: ${joined.map((c) => c.channel).join(', ')}`);
+  for (const c of joined.filter((e) => e.broadcasts > 0 || e.presenceMembers > 0)) {
+    log(`   ⚠️  channel "${c.channel}": ${c.broadcasts} broadcast(s), ${c.presenceMembers} presence member(s)`);
+  }
+  if (out.skippedTables > 0) log(`   ℹ️  ${out.skippedTables} table(s) not checked (channel limit per connection).`);
+  const delivering = out.tables.filter((t) => t.events > 0).length;
+  log(`   Realtime check completed: ${out.tables.filter((t) => t.subscribed).length} table subscription(s) accepted, ${delivering} delivered changes.`);
+  return out;
+}
+
+export { checkRealtimeExposure, DEFAULT_WINDOW_SECONDS };
@@ -0,0 +1,130 @@
+/**
+ * PostgREST RPC discovery: parses /rpc/* entries from the OpenAPI document and
+ * optionally calls read-only functions with the anon key to see which are public.
+ */
+
+const MAX_PROBE_DETAIL = 200;
+
+/** Placeholder argument values by Postgres type, used so EXECUTE permission is reached. */
+const PLACEHOLDER_VALUES = {
+  integer: '0',
+  bigint: '0',
+  smallint: '0',
+  numeric: '0',
+  real: '0',
+  'double precision': '0',
+  boolean: 'false',
+  text: '',
+  'character varying': '',
+  character: '',
+  uuid: '00000000-0000-0000-0000-000000000000',
+  date: '1970-01-01',
+  'timestamp with time zone': '1970-01-01T00:00:00Z',
+  'timestamp without time zone': '1970-01-01T00:00:00',
+  json: '{}',
+  jsonb: '{}',
+};
+
+function paramsFromOperation(operation) {
+  const params = [];
+  for (const p of operation?.parameters || []) {
+    if (p.in === 'body' && p.schema?.properties) {
+      const required = new Set(p.schema.required || []);
+      for (const [name, def] of Object.entries(p.schema.properties)) {
+        params.push({ name, type: def.format || def.type, required: required.has(name) });
+      }
+    } else if (p.in === 'query' && p.name) {
+      params.push({ name: p.name, type: p.format || p.type, required: Boolean(p.required) });
+    }
+  }
+  return params;
+}
+
+/**
+ * PostgREST only documents GET for STABLE/IMMUTABLE functions, so a GET entry means read-only.
+ * @param {object} openApiSpec
+ * @returns {Array<{ name: string, parameters: Array<{ name: string, type?: string, required: boolean }>, volatility: 'stable_or_immutable' | 'volatile', methods: string[], description?: string }>}
+ */
+function parseRpcFunctions(openApiSpec) {
+  const functions = [];
+  for (const [path, item] of Object.entries(openApiSpec?.paths || {})) {
+    if (!path.startsWith('/rpc/')) continue;
+    const name = path.substring('/rpc/'.length);
+    if (!name) continue;
+    const methods = Object.keys(item).filter((m) => ['get', 'post'].includes(m)).map((m) => m.toUpperCase());
+    const parameters = paramsFromOperation(item.post).length > 0 ? paramsFromOperation(item.post) : paramsFromOperation(item.get);
+    functions.push({
+      name,
+      parameters,
+      volatility: item.get ? 'stable_or_immutable' : 'volatile',
+      methods,
+      description: item.post?.summary || item.get?.summary || undefined,
+    });
+  }
+  return functions.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function buildQuery(parameters) {
+  const query = new URLSearchParams();
+  for (const p of parameters.filter((param) => param.required)) {
+    const value = PLACEHOLDER_VALUES[p.type];
+    if (value === undefined) return null;
+    query.set(p.name, value);
+  }
+  return query.toString();
+}
+
+/**
+ * Calls each read-only function over GET with the anon key only. GET requests run in a
+ * read-only transaction, and volatile functions are never called.
+ */
+async function probeRpcFunctions(supabase, functions, log) {
+  log('\n🧩 Probing exposed RPC functions as anon...');
+  for (const fn of functions) {
+    if (fn.volatility === 'volatile') {
+      fn.probe = { called: false, reason: 'volatile function not called (may have side effects)' };
+      continue;
+    }
+    const query = buildQuery(fn.parameters);
+    if (query === null) {
+      fn.probe = { called: false, reason: 'unsupported argument types' };
+      continue;
+    }
+    try {
+      const url = `${supabase.supabaseUrl}/rest/v1/rpc/${encodeURIComponent(fn.name)}${query ? `?${query}` : ''}`;
+      const response = await supabase.fetch(url, {
+        headers: { apikey: supabase.supabaseKey, Authorization: `Bearer ${supabase.supabaseKey}` },
+      });
+      const text = await response.text();
+      let body = null;
+      try {
+        body = text ? JSON.parse(text) : null;
+      } catch (_) {
+        body = text;
+      }
+      const code = body && typeof body === 'object' && !Array.isArray(body) ? body.code : undefined;
+      let callable = null;
+      if (response.ok) callable = true;
+      else if (response.status === 401 || response.status === 403 || code === '42501') callable = false;
+      // Errors raised from inside the function body mean EXECUTE was granted.
+      else if (typeof code === 'string' && code.startsWith('P0')) callable = true;
+      fn.probe = {
+        called: true,
+        status: response.status,
+        callable,
+        code,
+        message: code ? String(body.message || '').slice(0, MAX_PROBE_DETAIL) : undefined,
+        rowCount: Array.isArray(body) ? body.length : undefined,
+      };
+      const mark = callable === true ? '⚠️  callable' : callable === false ? '🔒 denied' : '❔ undetermined';
+      log(`   ${mark}: ${fn.name}(${fn.parameters.map((p) => p.name).join(', ')}) - HTTP ${response.status}`);
+    } catch (error) {
+      fn.probe = { called: true, callable: null, message: error.message };
+    }
+  }
+  const callable = functions.filter((f) => f.probe?.callable).length;
+  log(`   RPC probe completed: ${callable} function(s) callable as anon.`);
+  return functions;
+}
+
+export { parseRpcFunctions, probeRpcFunctions };
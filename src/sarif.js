@@ -0,0 +1,68 @@
+/**
+ * SARIF 2.1.0 report for CI code-scanning, built from collectFindings().
+ */
+
+import { collectFindings, RULES } from './findings.js';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const INFORMATION_URI = 'https://github.com/TheDistanceHQ/supamole';
+
+/**
+ * @param {object} result runExtraction result
+ * @param {{ toolVersion?: string, target?: string }} [options]
+ * @returns {object} SARIF log
+ */
+function toSarif(result, options = {}) {
+  const findings = collectFindings(result);
+  const ruleIds = Object.keys(RULES);
+
+  const results = findings.map((f) => {
+    const logical = {
+      name: f.resource.column || f.resource.path || f.resource.name,
+      fullyQualifiedName: [f.resource.schema, f.resource.name, f.resource.column].filter(Boolean).join('.') + (f.resource.path ? `/${f.resource.path}` : ''),
+      kind: f.resource.column ? 'member' : 'resource',
+    };
+    return {
+      ruleId: f.ruleId,
+      ruleIndex: ruleIds.indexOf(f.ruleId),
+      level: f.level,
+      message: { text: f.message },
+      locations: [
+        {
+          physicalLocation: { artifactLocation: { uri: f.uri } },
+          logicalLocations: [logical],
+        },
+      ],
+      // Stable across runs so code-scanning can track the same exposure over time.
+      partialFingerprints: { resource: `${f.ruleId}:${logical.fullyQualifiedName}` },
+      properties: f.properties,
+    };
+  });
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'SupaMole',
+            informationUri: INFORMATION_URI,
+            version: options.toolVersion,
+            rules: ruleIds.map((id) => ({
+              id,
+              name: RULES[id].name,
+              shortDescription: { text: RULES[id].description },
+              defaultConfiguration: { level: RULES[id].level },
+            })),
+          },
+        },
+        // Resource URIs are absolute (table://, bucket://), so the scanned project is recorded as a run property.
+        properties: options.target ? { target: options.target } : undefined,
+        results,
+      },
+    ],
+  };
+}
+
+export { toSarif };
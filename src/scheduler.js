@@ -0,0 +1,150 @@
+/**
+ * Shared request scheduler: limits concurrent HTTP requests, backs off on 429/502/503/504
+ * (honouring Retry-After) and retries transient failures. Its fetch is handed to
+ * the Supabase client so PostgREST, Storage, Auth and GraphQL calls all share it.
+ * Writes are only retried on 429: after a network error or a gateway status the first
+ * attempt may have been committed, and a retry would write twice.
+ */
+
+const RETRYABLE_STATUS = new Set([429, 502, 503, 504]);
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_MAX_RETRIES = 3;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 30000;
+const RECOVERY_SUCCESSES = 10;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/** Retry-After is either delay-seconds or an HTTP date. */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * @param {{ concurrency?: number, maxRetries?: number, log?: (msg: string) => void, fetch?: typeof fetch }} [options]
+ * @returns {{ fetch: typeof fetch, map: <T, R>(items: T[], fn: (item: T, index: number) => Promise<R>) => Promise<R[]>, stats: { requests: number, retries: number, throttled: number, failed: number }, concurrency: number }}
+ */
+function createRequestScheduler(options = {}) {
+  const maxConcurrency = Math.max(1, Number(options.concurrency) || DEFAULT_CONCURRENCY);
+  const maxRetries = Math.max(0, Number.isInteger(options.maxRetries) ? options.maxRetries : DEFAULT_MAX_RETRIES);
+  const baseFetch = options.fetch || ((...args) => fetch(...args));
+  const log = options.log || (() => {});
+  const stats = { requests: 0, retries: 0, throttled: 0, failed: 0 };
+
+  let limit = maxConcurrency;
+  let active = 0;
+  let pausedUntil = 0;
+  let successStreak = 0;
+  let timer = null;
+  const waiting = [];
+
+  function pump() {
+    const wait = pausedUntil - Date.now();
+    if (wait > 0) {
+      if (!timer) {
+        timer = setTimeout(() => {
+          timer = null;
+          pump();
+        }, wait);
+      }
+      return;
+    }
+    while (active < limit && waiting.length > 0) {
+      active += 1;
+      waiting.shift()();
+    }
+  }
+
+  async function acquire() {
+    await new Promise((resolve) => {
+      waiting.push(resolve);
+      pump();
+    });
+  }
+
+  function release() {
+    active -= 1;
+    pump();
+  }
+
+  /** Halves the concurrency limit and pauses every queued request for the delay. */
+  function backOff(delayMs, reason) {
+    stats.throttled += 1;
+    successStreak = 0;
+    const previous = limit;
+    limit = Math.max(1, Math.floor(limit / 2));
+    pausedUntil = Math.max(pausedUntil, Date.now() + delayMs);
+    if (limit !== previous) log(`   🐢 ${reason} - backing off ${Math.round(delayMs)}ms, concurrency ${previous} -> ${limit}`);
+  }
+
+  function recordSuccess() {
+    successStreak += 1;
+    if (limit < maxConcurrency && successStreak >= RECOVERY_SUCCESSES) {
+      limit += 1;
+      successStreak = 0;
+    }
+  }
+
+  async function scheduledFetch(input, init) {
+    const method = String(init?.method || input?.method || 'GET').toUpperCase();
+    const safe = SAFE_METHODS.has(method);
+    for (let attempt = 0; ; attempt += 1) {
+      await acquire();
+      let response;
+      let networkError;
+      stats.requests += 1;
+      try {
+        response = await baseFetch(input, init);
+      } catch (error) {
+        networkError = error;
+      } finally {
+        release();
+      }
+
+      const status = response?.status;
+      // A plain 500 is a failing query (bad RPC, broken view), not server pressure.
+      const throttled = RETRYABLE_STATUS.has(status);
+      const retryable = safe ? networkError || throttled : status === 429;
+      const delay = Math.min(
+        MAX_DELAY_MS,
+        parseRetryAfter(response?.headers?.get('Retry-After')) ?? BASE_DELAY_MS * 2 ** attempt * (1 + Math.random() * 0.25)
+      );
+      if (throttled) backOff(delay, `HTTP ${status}`);
+      else if (!networkError) recordSuccess();
+
+      if (!retryable || attempt >= maxRetries || init?.signal?.aborted) {
+        if (networkError) {
+          stats.failed += 1;
+          throw networkError;
+        }
+        return response;
+      }
+      stats.retries += 1;
+      if (response?.body) await response.arrayBuffer().catch(() => {});
+      await sleep(throttled ? 0 : delay);
+    }
+  }
+
+  /** Runs fn over items with at most `concurrency` in flight, preserving order of results. */
+  async function map(items, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index], index);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(maxConcurrency, items.length) }, worker));
+    return results;
+  }
+
+  return { fetch: scheduledFetch, map, stats, concurrency: maxConcurrency };
+}
+
+export { createRequestScheduler, parseRetryAfter };
@@ -0,0 +1,113 @@
+/**
+ * Schema discovery beyond public: asks PostgREST for the OpenAPI document of each candidate
+ * schema with the Accept-Profile header. Exposed schemas (db-schema) answer with their
+ * tables; refused ones answer PGRST106, whose message lists the schemas that are exposed.
+ */
+
+import { mapInBatches } from './util.js';
+
+const BATCH_SIZE = 20;
+
+const COMMON_SCHEMAS = [
+  'storage', 'graphql_public', 'auth', 'extensions', 'realtime', 'vault', 'api', 'app', 'private', 'internal',
+  'admin', 'v1', 'v2', 'rest', 'data', 'billing', 'analytics', 'audit', 'cron', 'net', 'supabase_functions', 'pgsodium',
+];
+
+/** Tables probed directly when an exposed schema does not serve an OpenAPI document. */
+const KNOWN_SCHEMA_TABLES = {
+  storage: ['buckets', 'objects', 'migrations', 's3_multipart_uploads', 's3_multipart_uploads_parts'],
+  auth: ['users', 'identities', 'sessions', 'refresh_tokens', 'audit_log_entries', 'mfa_factors', 'one_time_tokens'],
+  realtime: ['messages', 'subscription', 'schema_migrations'],
+  vault: ['secrets', 'decrypted_secrets'],
+  supabase_functions: ['hooks', 'migrations'],
+  cron: ['job', 'job_run_details'],
+  net: ['http_request_queue', '_http_response'],
+};
+
+/** PostgREST < 12.2: "The schema must be one of the following: a, b"; later: hint "Only the following schemas are exposed: a, b". */
+function exposedSchemasFrom(body) {
+  const text = `${body?.message || ''} ${body?.hint || ''}`;
+  const match = text.match(/(?:must be one of the following|following schemas are exposed):\s*([\w\s,]+)/i);
+  return match ? match[1].split(',').map((s) => s.trim()).filter(Boolean) : [];
+}
+
+/** Same tables-from-paths rule as public discovery: top-level paths without parameters. */
+function tablesFromSpec(openApiSpec, schema) {
+  return Object.keys(openApiSpec?.paths || {})
+    .filter((path) => path.startsWith('/') && !path.includes('{') && !path.startsWith('/rpc/'))
+    .map((path) => path.substring(1))
+    .filter((name) => name && !name.includes('/'))
+    .map((name) => ({ table_name: name, table_schema: schema, table_type: 'BASE TABLE' }));
+}
+
+async function fetchSchemaSpec(supabase, schema) {
+  try {
+    const response = await supabase.fetch(`${supabase.supabaseUrl}/rest/v1/`, {
+      headers: {
+        apikey: supabase.supabaseKey,
+        Authorization: `Bearer ${supabase.supabaseKey}`,
+        Accept: 'application/openapi+json',
+        'Accept-Profile': schema,
+      },
+    });
+    const body = await response.json().catch(() => null);
+    if (response.ok) return { exposed: true, openApiSpec: body };
+    if (body?.code === 'PGRST106') return { exposed: false, listed: exposedSchemasFrom(body) };
+    return { exposed: null, error: body?.message || `HTTP ${response.status}` };
+  } catch (error) {
+    return { exposed: null, error: error.message };
+  }
+}
+
+async function probeKnownTables(supabase, schema) {
+  const names = KNOWN_SCHEMA_TABLES[schema] || [];
+  const results = await Promise.all(names.map(async (name) => {
+    try {
+      const { error } = await supabase.schema(schema).from(name).select('*').limit(0);
+      return error ? null : { table_name: name, table_schema: schema, table_type: 'BASE TABLE' };
+    } catch (_) {
+      return null;
+    }
+  }));
+  return results.filter(Boolean);
+}
+
+/**
+ * User-supplied names are probed first, then the common list, then any schema a refusal
+ * named that was not probed yet. public is left to the regular discovery.
+ * @param {object} supabase
+ * @param {string[]} extraSchemas names from --schemas / the web form
+ * @param {(msg: string) => void} log
+ * @returns {Promise<Array<{ name: string, source: 'user' | 'common' | 'server', exposed: boolean | null, tables: Array<{ table_name: string, table_schema: string, table_type: string }>, openApiSpec?: object, error?: string }>>}
+ */
+async function discoverSchemas(supabase, extraSchemas, log) {
+  const candidates = new Map();
+  for (const name of extraSchemas || []) candidates.set(name, 'user');
+  for (const name of COMMON_SCHEMAS) if (!candidates.has(name)) candidates.set(name, 'common');
+  candidates.delete('public');
+
+  const probe = async ([name, source]) => {
+    const res = await fetchSchemaSpec(supabase, name);
+    const entry = { name, source, exposed: res.exposed, tables: [], listed: res.listed, error: res.error };
+    if (res.exposed) {
+      entry.openApiSpec = res.openApiSpec;
+      entry.tables = tablesFromSpec(res.openApiSpec, name);
+      if (entry.tables.length === 0) entry.tables = await probeKnownTables(supabase, name);
+    }
+    return entry;
+  };
+  const schemas = await mapInBatches([...candidates.entries()], BATCH_SIZE, probe);
+  const listed = new Set(schemas.flatMap((s) => s.listed || []));
+  const unprobed = [...listed].filter((name) => name !== 'public' && !candidates.has(name));
+  schemas.push(...(await mapInBatches(unprobed, BATCH_SIZE, (name) => probe([name, 'server']))));
+
+  for (const s of schemas) {
+    delete s.listed;
+    if (s.exposed) log(`     Found exposed schema: ${s.name} [${s.source}] (${s.tables.length} table(s))`);
+    else if (s.source === 'user') log(`     ⚠️  Schema ${s.name} is not exposed${s.error ? ` (${s.error})` : ''}`);
+  }
+  if (listed.size) log(`     Server lists exposed schemas: ${[...listed].join(', ')}`);
+  return schemas;
+}
+
+export { discoverSchemas };
@@ -0,0 +1,187 @@
+/**
+ * Secret detection: checks sample row values and storage object paths for leaked
+ * credentials (JWTs, Supabase/Stripe/AWS/GitHub/OpenAI keys, private keys) and
+ * high-entropy values in secret-looking columns. Evidence is always masked.
+ */
+
+const MIN_ENTROPY_LENGTH = 16;
+const MIN_ENTROPY_BITS = 3.5;
+
+const SECRET_COLUMN = /(api_?key|secret|token|passw(or)?d|private_?key|access_?key|client_?secret|credential|signing_?key|webhook_?key)/i;
+
+/** Token patterns checked against every value; `confidence` may depend on the match. JWTs are handled separately. */
+const SECRET_RULES = [
+  {
+    secretType: 'private_key',
+    pattern: /-----BEGIN (?:RSA |EC |DSA |OPENSSH |ENCRYPTED |PGP )?PRIVATE KEY(?: BLOCK)?-----/,
+    confidence: 'high',
+  },
+  {
+    secretType: 'supabase_secret_key',
+    pattern: /\bsb_secret_[A-Za-z0-9_-]{20,}/,
+    confidence: 'high',
+  },
+  {
+    secretType: 'stripe_key',
+    pattern: /\b(?:sk|rk)_(?:live|test)_[0-9A-Za-z]{16,}/,
+    confidence: (match) => (match.includes('_live_') ? 'high' : 'medium'),
+  },
+  {
+    secretType: 'aws_access_key',
+    pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/,
+    confidence: 'high',
+  },
+  {
+    secretType: 'github_token',
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})/,
+    confidence: 'high',
+  },
+  {
+    secretType: 'openai_key',
+    pattern: /\bsk-(?:proj-|svcacct-|admin-)?[A-Za-z0-9_-]{20,}/,
+    confidence: 'high',
+  },
+  {
+    secretType: 'password_hash',
+    pattern: /^\$(?:2[aby]\$\d{2}\$[./A-Za-z0-9]{53}|argon2(?:id|i|d)\$\S+)$/,
+    confidence: 'medium',
+  },
+];
+
+const JWT_PATTERN = /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/;
+
+/** Object names that usually hold credentials, matched against the last path segment. */
+const SECRET_FILE_PATTERN = /^(?:\.env(?:\.[\w-]+)?|id_(?:rsa|dsa|ecdsa|ed25519)|.*\.(?:pem|key|p12|pfx|jks|keystore)|credentials(?:\.json)?|service[-_]?account.*\.json|\.npmrc|\.pgpass|\.htpasswd)$/i;
+
+function decodeBase64Url(segment) {
+  const base64 = segment.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(segment.length / 4) * 4, '=');
+  const binary = atob(base64);
+  return new TextDecoder().decode(Uint8Array.from(binary, (c) => c.charCodeAt(0)));
+}
+
+/** @returns {Record<string, unknown> | null} the JWT payload, or null if it does not decode */
+function decodeJwtPayload(token) {
+  try {
+    const payload = JSON.parse(decodeBase64Url(token.split('.')[1]));
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/** Shannon entropy in bits per character. */
+function shannonEntropy(str) {
+  const counts = {};
+  for (const ch of str) counts[ch] = (counts[ch] || 0) + 1;
+  let entropy = 0;
+  for (const n of Object.values(counts)) {
+    const p = n / str.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/** Keeps a short prefix so the key type stays recognisable, e.g. "sk_l…9x (32 chars)". */
+function maskSecret(value) {
+  const str = String(value);
+  if (str.startsWith('-----BEGIN')) return str.split('\n')[0].trim() + ' …';
+  if (str.length <= 8) return `${'*'.repeat(str.length)} (${str.length} chars)`;
+  const prefix = str.slice(0, Math.min(6, Math.floor(str.length / 4)));
+  return `${prefix}…${str.slice(-2)} (${str.length} chars)`;
+}
+
+function classifyJwt(token) {
+  const payload = decodeJwtPayload(token);
+  if (!payload) return null;
+  const role = typeof payload.role === 'string' ? payload.role : undefined;
+  const expired = typeof payload.exp === 'number' && payload.exp * 1000 < Date.now();
+  if (role === 'service_role') return { secretType: 'supabase_service_key', confidence: 'high', role };
+  if (role === 'anon') return { secretType: 'supabase_anon_key', confidence: 'low', role };
+  return { secretType: 'jwt', confidence: expired ? 'low' : 'medium', role, expired: expired || undefined };
+}
+
+/**
+ * @param {string} text
+ * @param {{ secretColumn?: boolean }} [options] secretColumn enables the entropy check
+ * @returns {Array<{ secretType: string, confidence: 'high' | 'medium' | 'low', evidence: string, role?: string, expired?: boolean }>}
+ */
+function scanText(text, { secretColumn = false } = {}) {
+  const hits = [];
+  const jwt = text.match(JWT_PATTERN);
+  if (jwt) {
+    const classified = classifyJwt(jwt[0]);
+    if (classified) hits.push({ ...classified, evidence: maskSecret(jwt[0]) });
+  }
+  for (const rule of SECRET_RULES) {
+    const match = text.match(rule.pattern);
+    if (!match) continue;
+    const confidence = typeof rule.confidence === 'function' ? rule.confidence(match[0]) : rule.confidence;
+    hits.push({ secretType: rule.secretType, confidence, evidence: maskSecret(match[0]) });
+  }
+  const trimmed = text.trim();
+  if (
+    hits.length === 0 &&
+    secretColumn &&
+    trimmed.length >= MIN_ENTROPY_LENGTH &&
+    !/\s/.test(trimmed) &&
+    shannonEntropy(trimmed) >= MIN_ENTROPY_BITS
+  ) {
+    hits.push({ secretType: 'high_entropy_secret', confidence: 'medium', evidence: maskSecret(trimmed) });
+  }
+  return hits;
+}
+
+/**
+ * @param {Array<{ column_name: string }>} tableColumns
+ * @param {Array<Record<string, unknown>>} sampleRows
+ * @returns {Array<{ column: string, secretType: string, confidence: 'high' | 'medium' | 'low', evidence: string, matches: number, role?: string, expired?: boolean }>}
+ */
+function detectSecrets(tableColumns, sampleRows) {
+  if (!Array.isArray(sampleRows) || sampleRows.length === 0) return [];
+  const columnNames = new Set((tableColumns || []).map((c) => c.column_name));
+  sampleRows.forEach((row) => Object.keys(row || {}).forEach((k) => columnNames.add(k)));
+
+  const byKey = new Map();
+  for (const column of columnNames) {
+    const secretColumn = SECRET_COLUMN.test(column.replace(/([a-z])([A-Z])/g, '$1_$2'));
+    for (const row of sampleRows) {
+      const value = row?.[column];
+      if (value == null || value === '') continue;
+      const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      for (const hit of scanText(text, { secretColumn: secretColumn && typeof value === 'string' })) {
+        const key = `${column}:${hit.secretType}`;
+        const existing = byKey.get(key);
+        if (existing) existing.matches += 1;
+        else byKey.set(key, { column, ...hit, matches: 1 });
+      }
+    }
+  }
+  return [...byKey.values()];
+}
+
+/**
+ * Object paths can embed tokens (e.g. signed upload names) or name credential files.
+ * @param {string[]} paths
+ * @returns {Array<{ path: string, secretType: string, confidence: 'high' | 'medium' | 'low', evidence: string }>}
+ */
+function detectSecretsInPaths(paths) {
+  const findings = [];
+  for (const path of paths || []) {
+    for (const hit of scanText(path)) findings.push({ path: maskPath(path, hit.evidence), ...hit });
+    const fileName = path.split('/').pop();
+    if (SECRET_FILE_PATTERN.test(fileName)) {
+      findings.push({ path, secretType: 'credential_file', confidence: 'medium', evidence: fileName });
+    }
+  }
+  return findings;
+}
+
+/** Paths with an embedded token are reported with the token itself removed. */
+function maskPath(path, evidence) {
+  return path
+    .split('/')
+    .map((segment) => (scanText(segment).length > 0 ? evidence : segment))
+    .join('/');
+}
+
+export { detectSecrets, detectSecretsInPaths, decodeJwtPayload, maskSecret, SECRET_RULES };
@@ -0,0 +1,180 @@
+/**
+ * Opt-in storage content sampling: downloads the first bytes of a few text-like objects
+ * per bucket (Range request), skips binaries by magic bytes, and runs the PII and
+ * secret detectors over the parsed content.
+ */
+
+import { detectPII } from './pii-detection.js';
+import { detectSecrets } from './secret-detection.js';
+
+const DEFAULT_SAMPLE_OBJECTS = 10;
+const DEFAULT_SAMPLE_BYTES = 64 * 1024;
+const MAX_TEXT_ROWS = 500;
+
+const TEXT_EXTENSIONS = new Set([
+  'txt', 'csv', 'tsv', 'json', 'ndjson', 'jsonl', 'env', 'log', 'sql', 'xml', 'yaml', 'yml', 'md',
+  'html', 'htm', 'ini', 'conf', 'cfg', 'properties', 'toml', 'js', 'ts', 'py', 'sh', 'pem', 'key', 'vcf', 'ics',
+]);
+const TEXT_MIMETYPES = /^(text\/|application\/(json|xml|x-ndjson|x-yaml|yaml|sql|javascript|x-sh|x-pem-file))/;
+
+/** Leading bytes of common binary formats; anything matching is not scanned. */
+const MAGIC_BYTES = [
+  [0x89, 0x50, 0x4e, 0x47], // PNG
+  [0xff, 0xd8, 0xff], // JPEG
+  [0x47, 0x49, 0x46, 0x38], // GIF
+  [0x25, 0x50, 0x44, 0x46], // PDF
+  [0x50, 0x4b, 0x03, 0x04], // ZIP, docx, xlsx
+  [0x1f, 0x8b], // gzip
+  [0x52, 0x49, 0x46, 0x46], // RIFF (webp, wav, avi)
+  [0x4f, 0x67, 0x67, 0x53], // Ogg
+  [0x49, 0x44, 0x33], // MP3
+  [0x37, 0x7a, 0xbc, 0xaf], // 7z
+  [0x52, 0x61, 0x72, 0x21], // RAR
+  [0x7f, 0x45, 0x4c, 0x46], // ELF
+  [0x00, 0x61, 0x73, 0x6d], // wasm
+  [0x1a, 0x45, 0xdf, 0xa3], // Matroska / WebM
+];
+
+function isBinary(bytes) {
+  if (MAGIC_BYTES.some((magic) => magic.every((b, i) => bytes[i] === b))) return true;
+  // ISO media (mp4, mov, heic) has "ftyp" at offset 4.
+  if (bytes[4] === 0x66 && bytes[5] === 0x74 && bytes[6] === 0x79 && bytes[7] === 0x70) return true;
+  return bytes.subarray(0, 1024).includes(0);
+}
+
+function isTextCandidate(obj) {
+  const name = obj.name || obj.path;
+  const dot = name.lastIndexOf('.');
+  const ext = dot >= 0 ? name.slice(dot + 1).toLowerCase() : '';
+  return TEXT_EXTENSIONS.has(ext) || /^\.env(\.|$)/.test(name) || TEXT_MIMETYPES.test(obj.mimetype || '');
+}
+
+function parseCsvLine(line, separator) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i += 1) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === separator) {
+      cells.push(cell);
+      cell = '';
+    } else cell += ch;
+  }
+  cells.push(cell);
+  return cells;
+}
+
+/**
+ * Turns file content into rows so column-name rules apply: CSV/TSV headers, JSON keys and
+ * .env variable names become columns; other text is scanned line by line.
+ * @returns {{ format: string, rows: Array<Record<string, unknown>> }}
+ */
+function parseSampleContent(text, name) {
+  const ext = name.includes('.') ? name.slice(name.lastIndexOf('.') + 1).toLowerCase() : '';
+  const lines = text.split(/\r?\n/).filter((l) => l.trim()).slice(0, MAX_TEXT_ROWS);
+
+  if (ext === 'json') {
+    try {
+      const doc = JSON.parse(text);
+      const rows = Array.isArray(doc) ? doc.slice(0, MAX_TEXT_ROWS) : [doc];
+      return { format: 'json', rows: rows.map((r) => (r && typeof r === 'object' && !Array.isArray(r) ? r : { value: r })) };
+    } catch (_) {
+      // Truncated by the byte cap or not JSON after all; fall through to line scanning.
+    }
+  }
+  if (['ndjson', 'jsonl'].includes(ext)) {
+    const rows = [];
+    for (const line of lines) {
+      try {
+        const row = JSON.parse(line);
+        rows.push(row && typeof row === 'object' && !Array.isArray(row) ? row : { value: row });
+      } catch (_) {
+        rows.push({ text: line });
+      }
+    }
+    return { format: 'ndjson', rows };
+  }
+  if ((ext === 'csv' || ext === 'tsv') && lines.length > 1) {
+    const separator = ext === 'tsv' ? '\t' : ',';
+    const header = parseCsvLine(lines[0], separator).map((h, i) => h.trim() || `column_${i + 1}`);
+    const rows = lines.slice(1).map((line) => {
+      const cells = parseCsvLine(line, separator);
+      return Object.fromEntries(header.map((h, i) => [h, cells[i]]));
+    });
+    return { format: ext, rows };
+  }
+  if (ext === 'env' || /(^|\/)\.env(\.|$)/.test(name)) {
+    const row = {};
+    for (const line of lines) {
+      const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][\w.]*)\s*=\s*(.*)$/);
+      if (match) row[match[1]] = match[2].replace(/^(['"])(.*)\1$/, '$2');
+    }
+    return { format: 'env', rows: [row] };
+  }
+  // Private key blocks span lines, so the whole text is scanned once as well.
+  return { format: 'text', rows: [{ text: text.slice(0, 4096) }, ...lines.map((line) => ({ text: line }))] };
+}
+
+async function fetchObjectHead(supabase, bucket, path, isPublic, maxBytes) {
+  const encoded = path.split('/').map(encodeURIComponent).join('/');
+  const headers = { Range: `bytes=0-${maxBytes - 1}` };
+  let response = await supabase.fetch(`${supabase.supabaseUrl}/storage/v1/object/authenticated/${encodeURIComponent(bucket)}/${encoded}`, { headers });
+  if (!response.ok && isPublic) {
+    await response.arrayBuffer().catch(() => {});
+    response = await supabase.fetch(`${supabase.supabaseUrl}/storage/v1/object/public/${encodeURIComponent(bucket)}/${encoded}`, { headers });
+  }
+  if (!response.ok) {
+    await response.arrayBuffer().catch(() => {});
+    return { error: `HTTP ${response.status}` };
+  }
+  // Servers that ignore Range still only get the first maxBytes scanned.
+  const bytes = new Uint8Array(await response.arrayBuffer()).subarray(0, maxBytes);
+  return { bytes };
+}
+
+/**
+ * @param {object} supabase
+ * @param {string} bucket
+ * @param {Array<{ path: string, name: string, size?: number, mimetype?: string }>} objects indexed objects
+ * @param {{ isPublic?: boolean, piiRules?: Array<object>, maxObjects?: number, maxBytes?: number }} [options]
+ * @returns {Promise<{ sampled: number, skippedBinary: number, errors: number, objects: Array<{ path: string, bytes: number, format: string, piiFindings: Array<object>, secretFindings: Array<object> }> }>}
+ */
+async function sampleBucketContent(supabase, bucket, objects, options = {}) {
+  const maxObjects = Number(options.maxObjects) > 0 ? Number(options.maxObjects) : DEFAULT_SAMPLE_OBJECTS;
+  const maxBytes = Number(options.maxBytes) > 0 ? Number(options.maxBytes) : DEFAULT_SAMPLE_BYTES;
+  const candidates = objects.filter(isTextCandidate).slice(0, maxObjects);
+  const out = { sampled: 0, skippedBinary: 0, errors: 0, objects: [] };
+
+  for (const obj of candidates) {
+    try {
+      const { bytes, error } = await fetchObjectHead(supabase, bucket, obj.path, options.isPublic, maxBytes);
+      if (error) {
+        out.errors += 1;
+        continue;
+      }
+      if (isBinary(bytes)) {
+        out.skippedBinary += 1;
+        continue;
+      }
+      out.sampled += 1;
+      const { format, rows } = parseSampleContent(new TextDecoder().decode(bytes), obj.path);
+      const piiFindings = detectPII([], rows, options.piiRules);
+      const secretFindings = detectSecrets([], rows);
+      if (piiFindings.length || secretFindings.length) {
+        out.objects.push({ path: obj.path, bytes: bytes.length, format, piiFindings, secretFindings });
+      }
+    } catch (_) {
+      out.errors += 1;
+    }
+  }
+  return out;
+}
+
+export { sampleBucketContent, parseSampleContent, isBinary };
@@ -0,0 +1,102 @@
+/**
+ * Recursive storage indexing: walks a bucket breadth-first, paging each folder with
+ * offsets, within depth and object limits. Reports totals per prefix and breakdowns
+ * by extension and mimetype.
+ */
+
+const DEFAULT_MAX_DEPTH = 5;
+const DEFAULT_MAX_OBJECTS = 2000;
+const PAGE_SIZE = 100;
+const PREFIX_SUMMARY_DEPTH = 2;
+const MAX_PREFIX_ENTRIES = 50;
+const MAX_PENDING_REPORTED = 20;
+
+const extensionOf = (name) => {
+  const dot = name.lastIndexOf('.');
+  return dot > 0 && dot < name.length - 1 ? name.slice(dot + 1).toLowerCase() : '(none)';
+};
+
+function addTotal(map, key, size) {
+  const entry = map[key] || (map[key] = { count: 0, size: 0 });
+  entry.count += 1;
+  entry.size += size;
+}
+
+/**
+ * Folders come back from list() without an id or metadata. Each queue entry is a
+ * folder plus the offset to resume from, so large folders are paged between siblings.
+ * @param {object} bucketApi supabase.storage.from(bucket)
+ * @param {{ maxDepth?: number, maxObjects?: number }} [options]
+ * @returns {Promise<{ objects: Array<{ path: string, name: string, size?: number, mimetype?: string }>, folders: number, totalSize: number, prefixes: Array<{ prefix: string, objects: number, size: number }>, extensions: Record<string, { count: number, size: number }>, mimetypes: Record<string, { count: number, size: number }>, maxDepthReached: number, truncated: boolean, pending: string[], error?: string }>}
+ */
+async function walkBucket(bucketApi, options = {}) {
+  const maxDepth = Number(options.maxDepth) >= 0 ? Number(options.maxDepth) : DEFAULT_MAX_DEPTH;
+  const maxObjects = Number(options.maxObjects) > 0 ? Number(options.maxObjects) : DEFAULT_MAX_OBJECTS;
+  const objects = [];
+  const queue = [{ prefix: '', offset: 0, depth: 0 }];
+  let folders = 0;
+  let maxDepthReached = 0;
+  let depthLimited = false;
+  let objectLimited = false;
+  let error;
+
+  while (queue.length > 0 && objects.length < maxObjects) {
+    const { prefix, offset, depth } = queue.shift();
+    const { data, error: listError } = await bucketApi.list(prefix, { limit: PAGE_SIZE, offset, sortBy: { column: 'name', order: 'asc' } });
+    if (listError) {
+      // The root listing failing means no list permission; deeper failures are skipped.
+      if (!prefix) error = listError.message;
+      continue;
+    }
+    if (!data?.length) continue;
+    maxDepthReached = Math.max(maxDepthReached, depth);
+    for (const entry of data) {
+      const path = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.id == null && entry.metadata == null) {
+        folders += 1;
+        if (depth < maxDepth) queue.push({ prefix: path, offset: 0, depth: depth + 1 });
+        else depthLimited = true;
+      } else if (objects.length < maxObjects) {
+        objects.push({ path, name: entry.name, size: entry.metadata?.size, mimetype: entry.metadata?.mimetype });
+      } else {
+        objectLimited = true;
+      }
+    }
+    if (data.length === PAGE_SIZE) queue.push({ prefix, offset: offset + data.length, depth });
+  }
+
+  const extensions = {};
+  const mimetypes = {};
+  const prefixTotals = {};
+  let totalSize = 0;
+  for (const obj of objects) {
+    const size = Number(obj.size) || 0;
+    totalSize += size;
+    addTotal(extensions, extensionOf(obj.name), size);
+    addTotal(mimetypes, obj.mimetype || 'unknown', size);
+    const segments = obj.path.split('/').slice(0, -1);
+    if (segments.length === 0) addTotal(prefixTotals, '(root)', size);
+    for (let i = 1; i <= Math.min(segments.length, PREFIX_SUMMARY_DEPTH); i += 1) {
+      addTotal(prefixTotals, segments.slice(0, i).join('/'), size);
+    }
+  }
+  const prefixes = Object.entries(prefixTotals)
+    .map(([prefix, t]) => ({ prefix, objects: t.count, size: t.size }))
+    .sort((a, b) => b.objects - a.objects || a.prefix.localeCompare(b.prefix))
+    .slice(0, MAX_PREFIX_ENTRIES);
+
+  return {
+    objects,
+    folders,
+    totalSize,
+    prefixes,
+    extensions,
+    mimetypes,
+    maxDepthReached,
+    truncated: queue.length > 0 || depthLimited || objectLimited,
+    pending: [...new Set(queue.map((q) => q.prefix || '(root)'))].slice(0, MAX_PENDING_REPORTED),
+    error,
+  };
+}
+
+export { walkBucket, DEFAULT_MAX_DEPTH, DEFAULT_MAX_OBJECTS };
@@ -0,0 +1,107 @@
+/**
+ * Storage write-probe: uploads a uniquely named marker object, tries to overwrite and
+ * move it, then deletes it. Reports list/read/upload/overwrite/delete per bucket and
+ * always attempts cleanup, listing any marker it could not remove.
+ */
+
+import { randomId } from './util.js';
+
+const MARKER_PREFIX = 'supamole-write-probe';
+const MARKER_CONTENT = 'Supamole storage write probe. This file is safe to delete.\n';
+
+/** Storage wraps RLS denials in 400s with an HTTP-like statusCode in the body. */
+function isDenied(error) {
+  const status = Number(error.statusCode) || Number(error.status);
+  return status === 401 || status === 403 || /row-level security|unauthori[sz]ed|not allowed|permission/i.test(error.message || '');
+}
+
+/**
+ * Maps a storage-js `{ data, error }` result to allowed (true), denied (false) or
+ * undetermined (null). For the marker itself "not found" also means a policy hid it.
+ */
+function classify({ error }, { markerOp = false } = {}) {
+  if (!error) return { allowed: true };
+  const detail = { status: Number(error.statusCode) || error.status, message: error.message };
+  if (isDenied(error) || (markerOp && /not found/i.test(error.message || ''))) return { allowed: false, detail };
+  return { allowed: null, detail };
+}
+
+function markerBody(text) {
+  return new Blob([text], { type: 'text/plain' });
+}
+
+/**
+ * @param {object} bucketApi supabase.storage.from(bucket)
+ * @param {{ objects?: Array<{ path: string, size?: number }>, listError?: string }} [indexed] result of the object index
+ * @returns {Promise<{ permissions: { list: boolean | null, read: boolean | null, upload: boolean | null, overwrite: boolean | null, delete: boolean | null }, marker?: string, leftovers: string[], details: Record<string, { status?: number, message?: string }> }>}
+ */
+async function probeBucketWrites(bucketApi, indexed = {}) {
+  const objects = indexed.objects || [];
+  let marker;
+  let moved;
+  const permissions = {
+    // An empty listing is either an empty bucket or RLS, so only errors or objects are conclusive.
+    list: indexed.listError ? false : objects.length > 0 ? true : null,
+    read: null,
+    upload: null,
+    overwrite: null,
+    delete: null,
+  };
+  const details = {};
+  const record = (op, classified) => {
+    if (classified.detail) details[op] = classified.detail;
+    return classified.allowed;
+  };
+  let current = null;
+
+  try {
+    marker = `${MARKER_PREFIX}-${Date.now().toString(36)}-${(await randomId()).slice(0, 8)}.txt`;
+    moved = marker.replace(/\.txt$/, '-moved.txt');
+    // A failed upload may still have landed (e.g. a retried POST), so only a denial rules out cleanup.
+    current = marker;
+    const upload = await bucketApi.upload(marker, markerBody(MARKER_CONTENT), { contentType: 'text/plain', upsert: false });
+    permissions.upload = record('upload', classify(upload));
+    if (permissions.upload === false) current = null;
+
+    if (permissions.upload) {
+      const { data: listed, error: listError } = await bucketApi.list('', { limit: 10, search: marker });
+      if (!listError) permissions.list = Boolean(listed?.some((o) => o.name === marker));
+      permissions.read = record('read', classify(await bucketApi.download(marker), { markerOp: true }));
+
+      const update = record('update', classify(await bucketApi.update(marker, markerBody(`${MARKER_CONTENT}(overwritten)\n`), { contentType: 'text/plain' }), { markerOp: true }));
+      const move = record('move', classify(await bucketApi.move(marker, moved), { markerOp: true }));
+      if (move) current = moved;
+      permissions.overwrite = update || move ? true : update === false || move === false ? false : null;
+
+      const removal = await bucketApi.remove([current]);
+      if (removal.error) {
+        permissions.delete = record('delete', classify(removal));
+      } else {
+        // RLS filters the delete instead of failing it, so an empty result means denied.
+        permissions.delete = removal.data?.length > 0;
+        if (!permissions.delete) details.delete = { message: 'No object removed (filtered by policy)' };
+      }
+      if (permissions.delete) current = null;
+    } else if (objects.length > 0) {
+      // Without a marker, read access is checked on the smallest indexed object.
+      const smallest = objects.reduce((a, b) => ((Number(b.size) || 0) < (Number(a.size) || 0) ? b : a));
+      permissions.read = record('read', classify(await bucketApi.download(smallest.path)));
+    }
+  } catch (error) {
+    details.error = { message: error.message };
+  } finally {
+    if (current) {
+      // One more attempt on both names in case the move half-applied.
+      try {
+        const { data } = await bucketApi.remove([marker, moved]);
+        if (data?.some((o) => o.name === current)) current = null;
+      } catch (_) {
+        // Reported as a leftover below.
+      }
+    }
+  }
+
+  return { permissions, marker, leftovers: current ? [current] : [], details };
+}
+
+export { probeBucketWrites };
@@ -0,0 +1,219 @@
+/**
+ * Wordlist engine for table discovery when the OpenAPI document is locked down: bundled
+ * lists by app type, singular/plural and prefix/suffix mutations, names derived from
+ * known columns, and table names leaked by PostgREST's "Perhaps you meant" hints.
+ */
+
+import { isPermissionDenied } from './column-access.js';
+import { mapInBatches } from './util.js';
+
+const WORDLISTS = {
+  common: [
+    'users', 'user', 'profiles', 'user_profiles', 'accounts', 'members', 'customers', 'clients', 'employees', 'staff', 'admins', 'moderators',
+    'auth_users', 'roles', 'permissions', 'user_roles', 'role_permissions', 'sessions', 'tokens', 'api_keys', 'auth_tokens', 'refresh_tokens',
+    'posts', 'articles', 'pages', 'content', 'blogs', 'news', 'stories', 'comments', 'replies', 'reviews', 'feedback', 'testimonials',
+    'categories', 'tags', 'topics', 'subjects', 'labels', 'files', 'uploads', 'documents', 'images', 'videos', 'audio', 'attachments', 'media', 'assets', 'resources',
+    'products', 'items', 'inventory', 'stock', 'variants', 'skus', 'orders', 'cart', 'cart_items', 'order_items', 'purchases',
+    'payments', 'transactions', 'invoices', 'receipts', 'billing', 'shipping', 'addresses', 'coupons', 'discounts', 'promotions',
+    'companies', 'organizations', 'departments', 'teams', 'groups', 'branches', 'offices', 'locations', 'places', 'venues',
+    'events', 'appointments', 'bookings', 'reservations', 'schedules', 'calendar', 'meetings', 'slots', 'availability',
+    'messages', 'notifications', 'emails', 'sms', 'alerts', 'chats', 'conversations', 'threads', 'channels',
+    'logs', 'audit_logs', 'activity_logs', 'access_logs', 'error_logs', 'analytics', 'metrics', 'stats', 'reports', 'tracking',
+    'settings', 'config', 'configuration', 'preferences', 'options', 'features', 'flags', 'toggles', 'variables', 'constants',
+    'countries', 'states', 'cities', 'regions', 'districts', 'zones', 'postcodes', 'zipcodes', 'coordinates', 'maps',
+    'friends', 'followers', 'following', 'connections', 'relationships', 'likes', 'favorites', 'bookmarks', 'shares', 'votes',
+    'projects', 'tasks', 'todos', 'issues', 'tickets', 'bugs', 'milestones', 'sprints', 'boards', 'workflows',
+    'migrations', 'seeds', 'backups', 'imports', 'exports', 'queues', 'jobs', 'workers', 'processes', 'crons',
+    'audit', 'history', 'versions', 'revisions', 'changes', 'temp', 'temporary', 'cache', 'buffer',
+  ],
+  saas: [
+    'workspaces', 'workspace_members', 'organizations', 'organization_members', 'org_members', 'memberships', 'invitations', 'invites',
+    'teams', 'team_members', 'tenants', 'plans', 'subscriptions', 'subscription_items', 'prices', 'billing_accounts', 'usage', 'usage_records',
+    'quotas', 'seats', 'api_keys', 'api_tokens', 'webhooks', 'webhook_events', 'integrations', 'oauth_clients', 'audit_events', 'feature_flags',
+    'entitlements', 'licenses', 'onboarding', 'user_settings', 'workspace_settings', 'projects', 'project_members', 'environments',
+    'deployments', 'domains', 'credits', 'stripe_customers', 'stripe_events', 'customers',
+  ],
+  ecommerce: [
+    'products', 'product_variants', 'product_images', 'product_categories', 'collections', 'brands', 'carts', 'cart_items', 'checkouts',
+    'orders', 'order_items', 'order_lines', 'line_items', 'payments', 'refunds', 'returns', 'shipments', 'shipping_addresses', 'billing_addresses',
+    'fulfillments', 'inventory', 'inventory_items', 'warehouses', 'suppliers', 'vendors', 'stores', 'shops', 'sellers', 'wishlists',
+    'wishlist_items', 'reviews', 'ratings', 'coupons', 'discount_codes', 'gift_cards', 'taxes', 'tax_rates', 'price_lists', 'customers',
+    'customer_addresses',
+  ],
+  social: [
+    'posts', 'post_likes', 'post_comments', 'comments', 'comment_likes', 'likes', 'reactions', 'followers', 'follows', 'friendships',
+    'friend_requests', 'blocks', 'mutes', 'messages', 'direct_messages', 'conversations', 'conversation_participants', 'chat_rooms', 'rooms',
+    'stories', 'feeds', 'feed_items', 'hashtags', 'mentions', 'shares', 'reposts', 'bookmarks', 'notifications', 'user_profiles', 'profiles',
+    'communities', 'community_members', 'groups', 'group_members', 'reports', 'media', 'photos', 'videos',
+  ],
+  health: [
+    'patients', 'patient_records', 'medical_records', 'health_records', 'doctors', 'practitioners', 'providers', 'clinicians', 'nurses',
+    'clinics', 'hospitals', 'appointments', 'consultations', 'visits', 'encounters', 'prescriptions', 'medications', 'medication_logs',
+    'diagnoses', 'conditions', 'allergies', 'symptoms', 'vitals', 'lab_results', 'test_results', 'vaccinations', 'immunizations', 'treatments',
+    'care_plans', 'insurance', 'insurance_claims', 'claims', 'referrals', 'assessments', 'questionnaires', 'journal_entries', 'mood_logs',
+    'sleep_logs', 'workouts', 'health_data',
+  ],
+};
+
+const PREFIXES = ['app_', 'tbl_', 't_'];
+const SUFFIXES = ['_v2', '_old', '_new', '_backup', '_archive'];
+/** Words whose last segment has no useful other number (news, media, billing, ...). */
+const UNCOUNTABLE = new Set([
+  'news', 'sms', 'media', 'data', 'audio', 'stock', 'feedback', 'content', 'billing', 'shipping', 'tracking', 'history', 'inventory',
+  'analytics', 'metrics', 'availability', 'calendar', 'config', 'configuration', 'audit', 'cache', 'buffer', 'temp', 'temporary',
+  'usage', 'onboarding', 'insurance', 'following', 'staff', 'status', 'settings',
+]);
+const IRREGULAR = { person: 'people', child: 'children', man: 'men', woman: 'women', datum: 'data', analysis: 'analyses', diagnosis: 'diagnoses' };
+/** Short forms used in foreign-key column names (`org_id`, `cust_id`). */
+const ABBREVIATIONS = {
+  org: 'organization', cat: 'category', addr: 'address', msg: 'message', txn: 'transaction', tx: 'transaction', inv: 'invoice',
+  prod: 'product', cust: 'customer', emp: 'employee', dept: 'department', acct: 'account', acc: 'account', sub: 'subscription',
+  pt: 'patient', doc: 'document', img: 'image', conv: 'conversation', ws: 'workspace', proj: 'project',
+};
+/** Columns naming a user by role (`author_id`, `created_by`) point at the user tables. */
+const USER_ROLES = new Set(['user', 'owner', 'author', 'creator', 'created_by', 'updated_by', 'assignee', 'sender', 'recipient', 'reporter', 'member']);
+const MAX_ROUNDS = 3;
+const MAX_CANDIDATES = 2000;
+const BATCH_SIZE = 25;
+
+function pluralize(word) {
+  if (IRREGULAR[word]) return IRREGULAR[word];
+  if (/[^aeiou]y$/.test(word)) return `${word.slice(0, -1)}ies`;
+  if (/(s|x|z|ch|sh)$/.test(word)) return `${word}es`;
+  return `${word}s`;
+}
+
+function singularize(word) {
+  const irregular = Object.keys(IRREGULAR).find((k) => IRREGULAR[k] === word);
+  if (irregular) return irregular;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (/(ss|x|z|ch|sh)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return null;
+}
+
+/** The name plus its other number, inflecting only the last snake_case segment (`user_roles` <-> `user_role`). */
+function inflections(name) {
+  const parts = name.split('_');
+  const last = parts.pop();
+  if (UNCOUNTABLE.has(last) || last.length < 3) return [name];
+  const other = singularize(last) ?? pluralize(last);
+  return [name, [...parts, other].join('_')];
+}
+
+/** Prefix/suffix variants, tried for confirmed tables (`orders` -> `app_orders`, `orders_v2`). */
+function affixMutations(name) {
+  if (PREFIXES.some((p) => name.startsWith(p)) || SUFFIXES.some((s) => name.endsWith(s))) return [];
+  return [...PREFIXES.map((p) => `${p}${name}`), ...SUFFIXES.map((s) => `${name}${s}`)];
+}
+
+/** Affix variants of every wordlist name, all prefixed forms first since those are the likelier ones. */
+function wordlistMutations(names) {
+  const bases = names.filter((name) => affixMutations(name).length > 0);
+  return [...PREFIXES.flatMap((p) => bases.map((name) => `${p}${name}`)), ...SUFFIXES.flatMap((sfx) => bases.map((name) => `${name}${sfx}`))];
+}
+
+/** `org_id` -> orgs/organizations, `categoryId` -> categories, `author_id` -> users/profiles. */
+function namesFromColumns(columnNames) {
+  const names = new Set();
+  for (const column of columnNames) {
+    const snake = column.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+    const match = snake.match(/^([a-z][a-z0-9_]*?)_(?:id|uuid|ids)$/) || (USER_ROLES.has(snake) ? [snake, snake] : null);
+    if (!match) continue;
+    const base = match[1];
+    if (USER_ROLES.has(base)) {
+      ['users', 'profiles'].forEach((n) => names.add(n));
+      continue;
+    }
+    if (base === 'parent') continue;
+    for (const word of [base, ABBREVIATIONS[base]].filter(Boolean)) {
+      names.add(pluralize(word));
+      names.add(word);
+    }
+  }
+  return [...names];
+}
+
+/** PostgREST (PGRST205) hints at the closest table name: "Perhaps you meant the table 'public.profiles'". */
+function hintedTable(error) {
+  const match = `${error?.hint || ''} ${error?.message || ''}`.match(/Perhaps you meant the table '(?:([\w-]+)\.)?([^']+)'/i);
+  return match ? { schema: match[1] || 'public', name: match[2] } : null;
+}
+
+/**
+ * @param {string[]} [names] bundled list names; defaults to all of them
+ * @returns {string[]}
+ */
+function resolveWordlists(names) {
+  const selected = names?.length ? names : Object.keys(WORDLISTS);
+  const unknown = selected.filter((n) => !WORDLISTS[n]);
+  if (unknown.length) throw new Error(`Unknown wordlist(s) ${unknown.join(', ')}: expected ${Object.keys(WORDLISTS).join(', ')}`);
+  return selected;
+}
+
+/**
+ * Round one tries the selected wordlists (each word in both numbers), extra words and names
+ * derived from known columns. Later rounds try what the previous round revealed: hinted
+ * names and affix mutations of confirmed tables, then affix mutations of the wordlist names
+ * until MAX_CANDIDATES is reached. Each name costs one zero-row select, sent in batches of
+ * BATCH_SIZE. A table that answers "permission denied" exists, so it is reported as well.
+ * @param {object} supabase
+ * @param {{ wordlists?: string[], extraWords?: string[], known?: Array<{ table_name: string, table_schema?: string }>, seedColumns?: string[] }} options
+ * @param {(msg: string) => void} log
+ * @returns {Promise<Array<{ table_name: string, table_schema: string, table_type: string }>>}
+ */
+async function discoverTablesByWordlist(supabase, options, log) {
+  const lists = resolveWordlists(options.wordlists);
+  const key = (schema, name) => `${schema}.${name}`;
+  const tested = new Set((options.known || []).map((t) => key(t.table_schema || 'public', t.table_name)));
+  const found = [];
+  const sources = { wordlist: 0, column: 0, mutation: 0, hint: 0 };
+
+  let queue = [];
+  const enqueue = (names, source, schema = 'public') => {
+    for (const name of names) {
+      if (tested.size + queue.length >= MAX_CANDIDATES) return;
+      if (!/^[A-Za-z0-9_]+$/.test(name) || tested.has(key(schema, name)) || queue.some((c) => c.name === name && c.schema === schema)) continue;
+      queue.push({ name, schema, source });
+    }
+  };
+  const words = [...new Set([...lists.flatMap((l) => WORDLISTS[l]), ...(options.extraWords || [])])].flatMap(inflections);
+  enqueue(words, 'wordlist');
+  enqueue(namesFromColumns(options.seedColumns || []), 'column');
+  log(`   🔍 Method 7: Discovering tables by wordlist (${lists.join(', ')}${options.extraWords?.length ? ` + ${options.extraWords.length} custom word(s)` : ''})...`);
+
+  for (let round = 0; round < MAX_ROUNDS && queue.length > 0 && tested.size < MAX_CANDIDATES; round += 1) {
+    const batch = queue.slice(0, MAX_CANDIDATES - tested.size);
+    queue = [];
+    batch.forEach((c) => tested.add(key(c.schema, c.name)));
+    const results = await mapInBatches(batch, BATCH_SIZE, async (c) => {
+      try {
+        const client = c.schema === 'public' ? supabase : supabase.schema(c.schema);
+        // Existence only: no rows are fetched.
+        const { error } = await client.from(c.name).select('*').limit(0);
+        if (!error || isPermissionDenied(error)) return { ...c, exists: true };
+        return { ...c, hint: hintedTable(error) };
+      } catch (_) {
+        return { ...c };
+      }
+    });
+    for (const r of results) {
+      if (r.hint) enqueue([r.hint.name], 'hint', r.hint.schema);
+      if (!r.exists) continue;
+      found.push({ table_name: r.name, table_schema: r.schema, table_type: 'BASE TABLE' });
+      sources[r.source] += 1;
+      enqueue(affixMutations(r.name), 'mutation', r.schema);
+    }
+    // Queued after what this round revealed, so hints and confirmed tables keep priority under the cap.
+    if (round === 0) enqueue(wordlistMutations(words), 'mutation');
+  }
+
+  if (found.length > 0) {
+    const full = (t) => (t.table_schema === 'public' ? t.table_name : `${t.table_schema}.${t.table_name}`);
+    log(`     Found: ${found.map(full).join(', ')}`);
+    log(`     ${tested.size} name(s) tried; hits by source: ${Object.entries(sources).filter(([, n]) => n).map(([s, n]) => `${s} ${n}`).join(', ')}`);
+  }
+  return found;
+}
+
+export { discoverTablesByWordlist, resolveWordlists };
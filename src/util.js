@@ -0,0 +1,45 @@
+/**
+ * Small helpers shared by the CLI and the browser build.
+ */
+
+/**
+ * Random UUID from Web Crypto, falling back to node:crypto where `globalThis.crypto`
+ * is missing (Node 18).
+ * @returns {Promise<string>}
+ */
+async function randomId() {
+  if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID();
+  const { randomUUID } = await import('node:crypto');
+  return randomUUID();
+}
+
+/** Human-readable byte count for logs and the web report. */
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes || 0;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Runs fn over items in consecutive batches of `size`, so a long candidate list never
+ * queues more than one batch of requests at a time. Results keep the input order.
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} size
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<R[]>}
+ */
+async function mapInBatches(items, size, fn) {
+  const results = [];
+  for (let start = 0; start < items.length; start += size) {
+    results.push(...(await Promise.all(items.slice(start, start + size).map((item, i) => fn(item, start + i)))));
+  }
+  return results;
+}
+
+export { formatBytes, mapInBatches, randomId };
@@ -0,0 +1,173 @@
+/**
+ * Write-probe for Row Level Security review: checks whether the current identity
+ * can INSERT, UPDATE or DELETE on a table without leaving any change behind.
+ * Uses PostgREST's tx=rollback preference when the server honours it, otherwise
+ * falls back to no-op requests (empty insert, impossible filters).
+ */
+
+const ROLLBACK_PREFER = 'tx=rollback, handling=strict';
+/** Insufficient privilege, raised for missing grants and RLS WITH CHECK violations alike. */
+const DENIED_CODES = new Set(['42501']);
+
+/** PGRST3xx are JWT problems (invalid or expired token, anonymous access disabled), not a verdict on the table. */
+const isJwtError = (code) => typeof code === 'string' && code.startsWith('PGRST3');
+
+/**
+ * Raw PostgREST request through the client's authenticated fetch, so the
+ * session token / bearer token and global headers of the scan are applied.
+ */
+async function restFetch(supabase, path, init = {}) {
+  const response = await supabase.fetch(`${supabase.supabaseUrl}/rest/v1/${path}`, {
+    ...init,
+    headers: { ...supabase.headers, ...init.headers },
+  });
+  let body = null;
+  const text = await response.text();
+  if (text) {
+    try {
+      body = JSON.parse(text);
+    } catch (_) {
+      body = text;
+    }
+  }
+  return { status: response.status, ok: response.ok, headers: response.headers, body };
+}
+
+function profileHeaders(tableSchema) {
+  return tableSchema && tableSchema !== 'public'
+    ? { 'Accept-Profile': tableSchema, 'Content-Profile': tableSchema }
+    : {};
+}
+
+/**
+ * Maps a PostgREST response to allowed (true), denied (false) or undetermined (null).
+ * Integrity errors (class 23) are raised after RLS WITH CHECK, so they count as allowed.
+ * A 401/403 without 42501 (bad token, gateway key check) stays undetermined.
+ */
+function classifyWrite(res) {
+  const code = res.body && typeof res.body === 'object' ? res.body.code : undefined;
+  const detail = { status: res.status, code, message: res.body?.message };
+  if (res.ok) return { allowed: true, detail };
+  if (isJwtError(code)) return { allowed: null, detail: { ...detail, message: `auth error: ${detail.message || code}` } };
+  if (DENIED_CODES.has(code)) return { allowed: false, detail };
+  if (typeof code === 'string' && code.startsWith('23')) return { allowed: true, detail };
+  return { allowed: null, detail };
+}
+
+/**
+ * Sends a harmless read with tx=rollback and handling=strict; rollback is only
+ * trusted when PostgREST echoes it back in Preference-Applied.
+ */
+async function checkRollbackSupport(supabase, table) {
+  try {
+    const res = await restFetch(supabase, `${encodeURIComponent(table.table_name)}?limit=0`, {
+      method: 'GET',
+      headers: { Prefer: ROLLBACK_PREFER, ...profileHeaders(table.table_schema) },
+    });
+    const applied = res.headers.get('Preference-Applied') || '';
+    return res.ok && applied.includes('tx=rollback');
+  } catch (_) {
+    return false;
+  }
+}
+
+/** Picks a column with a primitive sample value, preferring `id`, for row-targeted probes. */
+function pickRowFilter(sampleRows) {
+  const row = sampleRows?.[0];
+  if (!row) return null;
+  const isPrimitive = (v) => ['string', 'number', 'boolean'].includes(typeof v);
+  if (isPrimitive(row.id)) return { column: 'id', value: row.id };
+  const column = Object.keys(row).find((k) => isPrimitive(row[k]));
+  return column ? { column, value: row[column] } : null;
+}
+
+/**
+ * A no-op write that succeeds only shows the role holds the grant: RLS filters rows
+ * silently, so it says nothing about policies. Those results become undetermined (null)
+ * and are recorded in `grants` instead; a refusal is still conclusive.
+ */
+function grantOnly(classified) {
+  if (!classified.allowed) return { ...classified, grant: classified.allowed === false ? false : null };
+  return { allowed: null, grant: true, detail: { ...classified.detail, message: 'grant only (RLS not exercised)' } };
+}
+
+async function noopUpdateDelete(supabase, path, headers, column) {
+  const out = { update: null, delete: null, grants: {}, details: {} };
+  if (!column) return out;
+  const json = { ...headers, 'Content-Type': 'application/json', Prefer: 'return=minimal' };
+  const col = encodeURIComponent(column);
+  const impossible = `${path}?${col}=is.null&${col}=not.is.null`;
+  const upd = grantOnly(classifyWrite(await restFetch(supabase, impossible, { method: 'PATCH', headers: json, body: JSON.stringify({ [column]: null }) })));
+  const del = grantOnly(classifyWrite(await restFetch(supabase, impossible, { method: 'DELETE', headers: json })));
+  out.update = upd.allowed;
+  out.delete = del.allowed;
+  out.grants = { update: upd.grant, delete: del.grant };
+  out.details = { update: upd.detail, delete: del.detail };
+  return out;
+}
+
+async function probeWithRollback(supabase, path, headers, filter, column) {
+  const prefer = (ret) => ({ ...headers, 'Content-Type': 'application/json', Prefer: `${ROLLBACK_PREFER}, return=${ret}` });
+  const ins = classifyWrite(await restFetch(supabase, path, { method: 'POST', headers: prefer('minimal'), body: '{}' }));
+  if (!filter) {
+    const rest = await noopUpdateDelete(supabase, path, headers, column);
+    return { insert: ins.allowed, update: rest.update, delete: rest.delete, grants: rest.grants, details: { insert: ins.detail, ...rest.details } };
+  }
+
+  const out = { insert: ins.allowed, update: null, delete: null, details: { insert: ins.detail } };
+  const query = `${path}?${encodeURIComponent(filter.column)}=eq.${encodeURIComponent(String(filter.value))}`;
+  for (const verb of ['update', 'delete']) {
+    const res = await restFetch(supabase, query, {
+      method: verb === 'update' ? 'PATCH' : 'DELETE',
+      headers: prefer('representation'),
+      body: verb === 'update' ? JSON.stringify({ [filter.column]: filter.value }) : undefined,
+    });
+    const classified = classifyWrite(res);
+    // The row is known to be readable, so no affected rows means a policy filtered it out.
+    if (classified.allowed && Array.isArray(res.body) && res.body.length === 0) classified.allowed = false;
+    out[verb] = classified.allowed;
+    out.details[verb] = classified.detail;
+  }
+  return out;
+}
+
+async function probeWithNoop(supabase, path, headers, column) {
+  const json = { ...headers, 'Content-Type': 'application/json', Prefer: 'return=minimal' };
+  const ins = grantOnly(classifyWrite(await restFetch(supabase, path, { method: 'POST', headers: json, body: '[]' })));
+  const rest = await noopUpdateDelete(supabase, path, headers, column);
+  return { insert: ins.allowed, update: rest.update, delete: rest.delete, grants: { insert: ins.grant, ...rest.grants }, details: { insert: ins.detail, ...rest.details } };
+}
+
+/**
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {{ table_name: string, table_schema?: string }} table
+ * @param {{ columns?: Array<{ column_name: string }> | null, sampleRows?: Array<Record<string, unknown>>, error?: string | null }} extracted
+ * @param {'rollback' | 'noop'} method
+ * @returns {Promise<{ permissions: { select: boolean, insert: boolean | null, update: boolean | null, delete: boolean | null }, grants?: { insert?: boolean | null, update?: boolean | null, delete?: boolean | null }, method: string, details: Record<string, { status: number, code?: string, message?: string }> }>}
+ */
+async function probeTablePermissions(supabase, table, extracted, method) {
+  const path = encodeURIComponent(table.table_name);
+  const headers = profileHeaders(table.table_schema);
+  const column = extracted.columns?.[0]?.column_name ?? Object.keys(extracted.sampleRows?.[0] || {})[0];
+  const filter = pickRowFilter(extracted.sampleRows);
+
+  let probe;
+  try {
+    if (method === 'rollback') {
+      probe = await probeWithRollback(supabase, path, headers, filter, column);
+    } else {
+      probe = await probeWithNoop(supabase, path, headers, column);
+    }
+  } catch (error) {
+    probe = { insert: null, update: null, delete: null, details: { error: { status: 0, message: error.message } } };
+  }
+
+  return {
+    permissions: { select: !extracted.error, insert: probe.insert, update: probe.update, delete: probe.delete },
+    grants: probe.grants,
+    method,
+    details: probe.details,
+  };
+}
+
+export { checkRollbackSupport, probeTablePermissions, restFetch, DENIED_CODES };
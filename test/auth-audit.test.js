@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { auditAuthSettings, summarizeAuthSettings } from '../src/auth-audit.js';
+import { collectFindings } from '../src/findings.js';
+
+const settings = {
+  external: { email: true, phone: false, google: true, github: true, anonymous_users: true, saml: false },
+  disable_signup: false,
+  mailer_autoconfirm: true,
+};
+
+test('summarises providers, open sign-up and anonymous sign-ins', () => {
+  const summary = summarizeAuthSettings(settings);
+  assert.deepEqual(summary.providers, ['github', 'google']);
+  assert.equal(summary.emailSignup, true);
+  assert.equal(summary.emailAutoconfirm, true);
+  assert.equal(summary.phoneSignup, false);
+  assert.equal(summary.anonymousSignIns, true);
+  assert.equal(summary.warnings.length, 2);
+  assert.match(summary.warnings[0], /open and autoconfirmed/);
+});
+
+test('disable_signup closes email and phone sign-up; the legacy anonymous flag is honoured', () => {
+  const summary = summarizeAuthSettings({ external: { email: true, phone: true }, disable_signup: true, anonymous_users: true });
+  assert.equal(summary.emailSignup, false);
+  assert.equal(summary.phoneSignup, false);
+  assert.equal(summary.anonymousSignIns, true);
+});
+
+test('reads /auth/v1/settings with the API key and reports HTTP errors', async () => {
+  const calls = [];
+  const client = (response) => ({
+    supabaseUrl: 'https://abc.supabase.co',
+    supabaseKey: 'anon-key',
+    fetch: async (url, init) => {
+      calls.push([url, init.headers.apikey]);
+      return response;
+    },
+  });
+  const ok = await auditAuthSettings(client(new Response(JSON.stringify(settings))), () => {});
+  assert.deepEqual(calls[0], ['https://abc.supabase.co/auth/v1/settings', 'anon-key']);
+  assert.equal(ok.emailSignup, true);
+  const failed = await auditAuthSettings(client(new Response('', { status: 404 })), () => {});
+  assert.equal(failed.error, 'HTTP 404');
+  assert.equal(failed.emailSignup, false);
+});
+
+test('sign-up findings: open sign-up, anonymous sign-ins and tables a sign-up can read beyond anon', () => {
+  const authAudit = {
+    ...summarizeAuthSettings(settings),
+    signupProbe: {
+      method: 'email',
+      tables: [
+        { table_name: 'orders', table_schema: 'public', anonRows: null, signupRows: 4 },
+        { table_name: 'posts', table_schema: 'public', anonRows: 10, signupRows: 10 },
+        { table_name: 'notes', table_schema: 'public', anonRows: 0, signupRows: null },
+      ],
+    },
+  };
+  const findings = collectFindings({ tables: [], authAudit });
+  assert.deepEqual(findings.map((f) => `${f.ruleId} ${f.uri}`), [
+    'auth-signup-open auth://settings',
+    'auth-anonymous-signin auth://settings',
+    'signup-grants-access table://public.orders',
+  ]);
+  assert.equal(findings[0].message, 'Sign-up is open via email (autoconfirmed).');
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isPermissionDenied, probeColumnAccess, selectList } from '../src/column-access.js';
+
+const denied = { code: '42501', message: 'permission denied for table users' };
+
+/** Table stand-in: selects fail when they touch a revoked column, or always with `error`. */
+function fakeTable({ revoked = [], error } = {}) {
+  const selects = [];
+  const supabase = {
+    from: () => ({
+      select: (list) => ({
+        limit: async () => {
+          selects.push(list);
+          if (error) return { data: null, error };
+          const columns = list.split(',').map((c) => c.replace(/^"|"$/g, '').replace(/""/g, '"'));
+          return columns.some((c) => revoked.includes(c)) ? { data: null, error: denied } : { data: [], error: null };
+        },
+      }),
+    }),
+  };
+  return { supabase, selects };
+}
+
+test('only 42501, or a codeless "permission denied", is a privilege error', () => {
+  assert.equal(isPermissionDenied(denied), true);
+  assert.equal(isPermissionDenied({ message: 'permission denied for column email' }), true);
+  assert.equal(isPermissionDenied({ code: 'PGRST301', message: 'JWT expired' }), false);
+  assert.equal(isPermissionDenied({ code: '42P01', message: 'relation does not exist' }), false);
+  assert.equal(isPermissionDenied(null), false);
+});
+
+test('quotes column names that are not plain identifiers', () => {
+  assert.equal(selectList(['id', 'Full Name', 'say"hi']), 'id,"Full Name","say""hi"');
+});
+
+test('bisects to the revoked columns and keeps table column order', async () => {
+  const columns = ['id', 'email', 'name', 'ssn', 'created_at', 'notes'];
+  const { supabase, selects } = fakeTable({ revoked: ['ssn', 'email'] });
+  const result = await probeColumnAccess(supabase, 'users', columns, 'id');
+  assert.deepEqual(result, { tableDenied: false, readable: ['id', 'name', 'created_at', 'notes'], denied: ['email', 'ssn'], undetermined: [] });
+  assert.ok(selects.length < columns.length * 2);
+});
+
+test('reports a table-level denial once instead of every column', async () => {
+  const { supabase, selects } = fakeTable({ error: denied });
+  const result = await probeColumnAccess(supabase, 'users', ['email', 'id', 'name'], 'id');
+  assert.deepEqual(result, { tableDenied: true, readable: [], denied: [], undetermined: [] });
+  assert.deepEqual(selects, ['id', 'email', 'name']);
+});
+
+test('JWT errors leave columns undetermined rather than denied', async () => {
+  const { supabase } = fakeTable({ error: { code: 'PGRST301', message: 'JWT expired' } });
+  const result = await probeColumnAccess(supabase, 'users', ['id', 'email'], 'id');
+  assert.deepEqual(result, { tableDenied: false, readable: [], denied: [], undetermined: ['id', 'email'] });
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffScans, formatDiffSummary } from '../src/diff.js';
+
+const cols = (...names) => names.map((column_name) => ({ column_name }));
+
+const before = {
+  tables: [
+    { table_name: 'posts', table_schema: 'public', rowCount: 100, columns: cols('id', 'title') },
+    { table_name: 'orders', table_schema: 'public', error: 'permission denied' },
+    { table_name: 'users', table_schema: 'public', rowCount: 5, piiFindings: [{ column: 'email', piiType: 'email' }] },
+  ],
+  storage: { buckets: [{ name: 'docs', public: false }, { name: 'old', public: true }] },
+};
+const after = {
+  tables: [
+    { table_name: 'posts', table_schema: 'public', rowCount: 150, columns: cols('id', 'title', 'author_email') },
+    { table_name: 'orders', table_schema: 'public', rowCount: 3 },
+    { table_name: 'users', table_schema: 'public', rowCount: 6, error: 'permission denied' },
+  ],
+  storage: { buckets: [{ name: 'docs', public: false, privateAccessCheck: { publicUrlsServed: 2 } }, { name: 'new', public: true }] },
+};
+
+test('reports exposure, column, row count, PII and bucket changes', () => {
+  const diff = diffScans(before, after);
+  assert.deepEqual(diff.tables.exposed, ['public.orders']);
+  assert.deepEqual(diff.tables.hidden, ['public.users']);
+  assert.deepEqual(diff.tables.columnsAdded, [{ table: 'public.posts', columns: ['author_email'] }]);
+  assert.deepEqual(diff.tables.rowCountChanges, [{ table: 'public.posts', before: 100, after: 150, delta: 50, ratio: 0.5 }]);
+  assert.deepEqual(diff.pii.removed, [{ table: 'public.users', column: 'email', piiType: 'email' }]);
+  assert.deepEqual(diff.buckets.added, [{ bucket: 'new', public: true }]);
+  assert.deepEqual(diff.buckets.removed, [{ bucket: 'old' }]);
+  assert.equal(diff.hasChanges, true);
+});
+
+test('a private bucket serving public URLs counts as reachable', () => {
+  const diff = diffScans(before, after);
+  assert.deepEqual(diff.buckets.reachableChanged, [{ bucket: 'docs', before: false, after: true }]);
+  assert.deepEqual(diff.buckets.publicChanged, []);
+});
+
+test('small or sub-threshold row count swings are ignored', () => {
+  const scan = (rowCount) => ({ tables: [{ table_name: 't', rowCount }] });
+  assert.deepEqual(diffScans(scan(5), scan(14)).tables.rowCountChanges, []);
+  assert.deepEqual(diffScans(scan(1000), scan(1100)).tables.rowCountChanges, []);
+  assert.equal(diffScans(scan(1000), scan(1100), { rowCountThreshold: 0.05 }).tables.rowCountChanges.length, 1);
+});
+
+test('formats a summary, or says nothing changed', () => {
+  assert.match(formatDiffSummary(diffScans(before, before)), /No changes between the two scans/);
+  const text = formatDiffSummary(diffScans(before, after));
+  assert.match(text, /Newly exposed table: public\.orders/);
+  assert.match(text, /Bucket docs: public URLs reachable no -> yes/);
+});
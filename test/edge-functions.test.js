@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { discoverEdgeFunctions, edgeFunctionCandidates } from '../src/edge-functions.js';
+
+const supabase = { supabaseUrl: 'https://x.supabase.co', supabaseKey: 'anon-key' };
+
+test('adds RPC, spec-referenced and GraphQL names after the wordlist, also in kebab-case', () => {
+  const spec = { paths: { '/rpc/send_invoice': {}, '/todos': {} }, info: { description: 'Calls /functions/v1/billing_sync' } };
+  const candidates = edgeFunctionCandidates(spec, [{ table_name: 'audit_log', graphql_type: 'AuditLog' }, { table_name: 'plain' }]);
+  assert.deepEqual(candidates[0], { name: 'hello', source: 'wordlist' });
+  const extra = candidates.filter((c) => c.source !== 'wordlist').map((c) => `${c.name}:${c.source}`);
+  assert.deepEqual(extra, ['billing_sync:openapi', 'billing-sync:openapi', 'send_invoice:openapi', 'send-invoice:openapi', 'audit_log:graphql', 'audit-log:graphql']);
+});
+
+/** Gateway stand-in: `functions` maps names to handlers of (method, hasJwt); other names get 404 NOT_FOUND. */
+function gateway(functions) {
+  const calls = [];
+  const request = async (url, init) => {
+    const name = decodeURIComponent(url.split('/functions/v1/')[1]);
+    calls.push(`${init.method} ${name}`);
+    const handler = functions[name];
+    if (!handler) return new Response('{"code":"NOT_FOUND","message":"Requested function was not found"}', { status: 404 });
+    if (init.method === 'OPTIONS') return new Response('ok', { headers: { 'access-control-allow-origin': '*' } });
+    return handler(init.method, Boolean(init.headers.Authorization));
+  };
+  return { request, calls };
+}
+
+test('finds functions and tells verify_jwt apart from open functions', async () => {
+  const { request, calls } = gateway({
+    'hello-world': () => new Response('{"hi":1}', { headers: { 'content-type': 'application/json' } }),
+    'stripe-webhook': (method, jwt) => (jwt ? new Response('ok') : new Response('{"msg":"Missing authorization header"}', { status: 401 })),
+    checkout: (method) => new Response('', { status: method === 'POST' ? 400 : 405 }),
+  });
+  const lines = [];
+  const found = await discoverEdgeFunctions(supabase, { request }, (line) => lines.push(line));
+  assert.deepEqual(found.map((f) => [f.name, f.verifyJwt]), [['hello-world', false], ['stripe-webhook', true], ['checkout', false]]);
+  assert.deepEqual(found[0].cors, { allowOrigin: '*', allowMethods: undefined, allowHeaders: undefined, allowCredentials: undefined });
+  assert.equal(found[0].contentType, 'application/json');
+  assert.deepEqual(found[2].status, { options: 200, anonymous: 405, anon: 405, post: 400 });
+  assert.ok(calls.includes('POST checkout'));
+  assert.ok(!calls.some((c) => c.startsWith('POST ') && c !== 'POST checkout'));
+  assert.match(lines.at(-1), /3 found, 2 callable without a JWT/);
+});
+
+test('gateway 401s without a preflight answer do not count as functions', async () => {
+  const request = async (url, init) => (init.method === 'OPTIONS' ? new Response('', { status: 404 }) : new Response('{"msg":"Invalid JWT"}', { status: 401 }));
+  assert.deepEqual(await discoverEdgeFunctions(supabase, { request }, () => {}), []);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { embeddingEdges, probeEmbeddedRelations } from '../src/embedding-probe.js';
+
+const fk = (column, table) => ({ column, references: { table, column: 'id' } });
+
+const tables = [
+  { table_name: 'orders', rowCount: 5, relationships: [fk('customer_id', 'customers'), fk('audit_id', 'audit')] },
+  { table_name: 'customers', rowCount: 0, error: 'permission denied for table customers' },
+  { table_name: 'notes', rowCount: 2, relationships: [fk('parent_id', 'notes')] },
+];
+
+test('each FK gives a many-to-one embed and, unless self-referencing, the reverse one-to-many', () => {
+  assert.deepEqual(embeddingEdges(tables).map((e) => `${e.from}->${e.to}:${e.column}:${e.kind}`), [
+    'orders->customers:customer_id:many_to_one',
+    'customers->orders:customer_id:one_to_many',
+    'orders->audit:audit_id:many_to_one',
+    'audit->orders:audit_id:one_to_many',
+    'notes->notes:parent_id:many_to_one',
+  ]);
+});
+
+test('flags embedded rows from tables a direct select cannot read', async () => {
+  const selects = [];
+  const responses = {
+    'orders customers!customer_id(*)': { data: [{ customers: { id: 1 } }, { customers: null }, { customers: { id: 2 } }], error: null },
+    'orders audit!audit_id(*)': { data: [{ audit: { id: 1 } }], error: null },
+    'audit *': { data: [], error: null },
+    'notes notes!parent_id(*)': { data: null, error: { message: 'Could not find a relationship' } },
+  };
+  const supabase = {
+    from: (table) => ({
+      select: (select) => ({
+        limit: async (n) => {
+          selects.push(`${table} ${select} ${n}`);
+          return responses[`${table} ${select}`];
+        },
+      }),
+    }),
+  };
+  const probes = await probeEmbeddedRelations(supabase, tables, () => {}, { sampleSize: 3 });
+  assert.deepEqual(selects, ['orders customers!customer_id(*) 3', 'orders audit!audit_id(*) 3', 'notes notes!parent_id(*) 3', 'audit * 1']);
+  assert.deepEqual(probes.map((p) => [p.table, p.embedded, p.embeddedRows, p.leak]), [
+    ['orders', 'customers', 2, true],
+    ['orders', 'audit', 1, true],
+    ['notes', 'notes', 0, false],
+  ]);
+  assert.deepEqual(probes[0].direct, { readable: false, rows: 0, error: 'permission denied for table customers' });
+  assert.deepEqual(probes[1].direct, { readable: true, rows: 0, error: undefined });
+  assert.equal(probes[2].error, 'Could not find a relationship');
+});
+
+test('nothing is probed when no table returned rows', async () => {
+  const supabase = { from: () => assert.fail('no request expected') };
+  assert.deepEqual(await probeEmbeddedRelations(supabase, [{ ...tables[0], rowCount: 0 }], () => {}), []);
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseGraphqlSchema, probeGraphqlCollections, tableNameFromCollection } from '../src/graphql-introspection.js';
+
+const named = (kind, name) => ({ kind, name, ofType: null });
+const nonNull = (ofType) => ({ kind: 'NON_NULL', name: null, ofType });
+const list = (ofType) => ({ kind: 'LIST', name: null, ofType });
+const field = (name, type) => ({ name, type });
+const object = (name, fields) => ({ kind: 'OBJECT', name, fields });
+const connection = (node) => [
+  object(`${node}Connection`, [field('edges', nonNull(list(nonNull(named('OBJECT', `${node}Edge`))))), field('totalCount', nonNull(named('SCALAR', 'Int')))]),
+  object(`${node}Edge`, [field('cursor', nonNull(named('SCALAR', 'String'))), field('node', nonNull(named('OBJECT', node)))]),
+];
+
+const schema = {
+  queryType: { name: 'Query' },
+  mutationType: { name: 'Mutation' },
+  types: [
+    object('Query', [
+      field('blogPostCollection', named('OBJECT', 'BlogPostConnection')),
+      field('commentCollection', named('OBJECT', 'CommentConnection')),
+      field('node', named('INTERFACE', 'Node')),
+      field('viewer', named('OBJECT', 'Profile')),
+    ]),
+    object('Mutation', [
+      field('insertIntoBlogPostCollection', named('OBJECT', 'BlogPostInsertResponse')),
+      field('deleteFromBlogPostCollection', nonNull(named('OBJECT', 'BlogPostDeleteResponse'))),
+      field('resetCounters', named('SCALAR', 'Boolean')),
+    ]),
+    ...connection('BlogPost'),
+    ...connection('Comment'),
+    object('BlogPost', [
+      field('id', nonNull(named('SCALAR', 'Int'))),
+      field('title', named('SCALAR', 'String')),
+      field('status', named('ENUM', 'PostStatus')),
+      field('tags', list(named('SCALAR', 'String'))),
+      field('author', named('OBJECT', 'Profile')),
+      field('commentCollection', named('OBJECT', 'CommentConnection')),
+    ]),
+    object('Comment', [field('id', nonNull(named('SCALAR', 'Int')))]),
+    object('Profile', [field('id', nonNull(named('SCALAR', 'UUID')))]),
+  ],
+};
+
+test('maps collection field names back to table names', () => {
+  assert.equal(tableNameFromCollection('blogPostCollection'), 'blog_post');
+  assert.equal(tableNameFromCollection('user_profilesCollection'), 'user_profiles');
+});
+
+test('parses collections, their columns and relationships, and classifies mutations', () => {
+  const { collections, mutations, queries } = parseGraphqlSchema(schema);
+  const [posts, comments] = collections;
+  assert.equal(posts.type, 'BlogPost');
+  assert.equal(posts.table, 'blog_post');
+  assert.equal(posts.hasTotalCount, true);
+  assert.deepEqual(posts.fields, [
+    { name: 'id', type: 'Int!', nullable: false },
+    { name: 'title', type: 'String', nullable: true },
+    { name: 'status', type: 'PostStatus', nullable: true },
+    { name: 'tags', type: '[String]', nullable: true },
+  ]);
+  assert.deepEqual(posts.relationships, [
+    { field: 'author', target: 'Profile', kind: 'many_to_one' },
+    { field: 'commentCollection', target: 'Comment', kind: 'one_to_many' },
+  ]);
+  assert.deepEqual(posts.mutations, ['insert', 'delete']);
+  assert.deepEqual(comments.mutations, []);
+  assert.deepEqual(mutations, [
+    { name: 'insertIntoBlogPostCollection', operation: 'insert', type: 'BlogPost' },
+    { name: 'deleteFromBlogPostCollection', operation: 'delete', type: 'BlogPost' },
+    { name: 'resetCounters' },
+  ]);
+  assert.deepEqual(queries, ['viewer']);
+});
+
+test('queries each collection with first: N and falls back to cursors when a column is refused', async () => {
+  const parsed = parseGraphqlSchema(schema);
+  const queriesSent = [];
+  const supabase = {
+    supabaseUrl: 'https://x.supabase.co',
+    headers: { apikey: 'anon' },
+    fetch: async (url, init) => {
+      const { query } = JSON.parse(init.body);
+      queriesSent.push(query);
+      if (query.includes('blogPostCollection') && query.includes('node {')) {
+        return new Response(JSON.stringify({ data: null, errors: [{ message: 'permission denied for column title' }] }));
+      }
+      if (query.includes('blogPostCollection')) {
+        return new Response(JSON.stringify({ data: { blogPostCollection: { totalCount: 9, edges: [{ cursor: 'a' }, { cursor: 'b' }] } } }));
+      }
+      return new Response(JSON.stringify({ data: null, errors: [{ message: 'permission denied for table comment' }] }));
+    },
+  };
+  await probeGraphqlCollections(supabase, parsed, () => {}, { first: 2 });
+  assert.ok(queriesSent.includes('query { blogPostCollection(first: 2) { totalCount edges { node { id title status tags } } } }'));
+  assert.ok(queriesSent.includes('query { blogPostCollection(first: 2) { totalCount edges { cursor } } }'));
+  assert.deepEqual(parsed.collections[0].query, { readable: true, rows: 2, totalCount: 9, columnsReadable: false, error: 'permission denied for column title' });
+  assert.equal(parsed.collections[1].query.readable, false);
+  assert.equal(parsed.collections[1].query.error, 'permission denied for table comment');
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseIdentitySpec } from '../src/extractor.js';
+
+test('anon, email:password and token specs', () => {
+  assert.deepEqual(parseIdentitySpec('anon'), { label: 'anon' });
+  assert.deepEqual(parseIdentitySpec(''), { label: 'anon' });
+  assert.deepEqual(parseIdentitySpec('a@example.com:pa:ss'), { label: 'a@example.com', email: 'a@example.com', password: 'pa:ss' });
+  assert.deepEqual(parseIdentitySpec('token:eyJ.x.y'), { label: 'token', token: 'eyJ.x.y' });
+});
+
+test('a label= prefix names the identity', () => {
+  assert.deepEqual(parseIdentitySpec('alice=a@example.com:secret'), { label: 'alice', email: 'a@example.com', password: 'secret' });
+  assert.deepEqual(parseIdentitySpec('guest = anon'), { label: 'guest' });
+  assert.deepEqual(parseIdentitySpec('svc=token:abc'), { label: 'svc', token: 'abc' });
+});
+
+test('objects pass through with a default label', () => {
+  assert.deepEqual(parseIdentitySpec({ email: 'b@example.com', password: 'x' }), { email: 'b@example.com', password: 'x', label: 'b@example.com' });
+  assert.equal(parseIdentitySpec({ token: 't' }).label, 'token');
+  assert.equal(parseIdentitySpec({}).label, 'anon');
+});
+
+test('a spec without a separator is rejected', () => {
+  assert.throws(() => parseIdentitySpec('alice'), /Invalid identity "alice"/);
+});
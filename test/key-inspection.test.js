@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { inspectCredential, inspectCredentials, projectRefFromUrl } from '../src/key-inspection.js';
+
+const REF = 'abcdefghijklmnopqrst';
+const URL = `https://${REF}.supabase.co`;
+const b64url = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+const jwt = (payload) => `${b64url({ alg: 'HS256', typ: 'JWT' })}.${b64url(payload)}.c2lnbmF0dXJl`;
+
+test('takes the project ref from hosted URLs only', () => {
+  assert.equal(projectRefFromUrl(`https://${REF.toUpperCase()}.supabase.co/rest/v1`), REF);
+  assert.equal(projectRefFromUrl('http://127.0.0.1:54321'), null);
+  assert.equal(projectRefFromUrl('not a url'), null);
+});
+
+test('decodes an anon key and checks its ref against the URL', () => {
+  const info = inspectCredential(jwt({ role: 'anon', ref: REF, iss: 'supabase', iat: 1700000000, exp: 4000000000 }), URL);
+  assert.equal(info.kind, 'jwt');
+  assert.equal(info.role, 'anon');
+  assert.equal(info.refMatchesUrl, true);
+  assert.equal(info.issuedAt, '2023-11-14T22:13:20.000Z');
+  assert.equal(info.expired, false);
+  assert.deepEqual(info.warnings, []);
+});
+
+test('warns on service_role, expiry and a ref for another project', () => {
+  const info = inspectCredential(jwt({ role: 'service_role', ref: 'zzzzzzzzzzzzzzzzzzzz', exp: 1 }), URL);
+  assert.equal(info.refMatchesUrl, false);
+  assert.equal(info.warnings.length, 3);
+  assert.match(info.warnings[0], /service_role key/);
+  assert.match(info.warnings[1], /^Token expired at 1970-01-01/);
+  assert.match(info.warnings[2], /is for project zzzzzzzzzzzzzzzzzzzz/);
+});
+
+test('user tokens carry the ref in the issuer URL', () => {
+  const info = inspectCredential(jwt({ role: 'authenticated', sub: 'u1', iss: `${URL}/auth/v1` }), URL);
+  assert.equal(info.ref, REF);
+  assert.equal(info.sub, 'u1');
+  assert.equal(info.refMatchesUrl, true);
+});
+
+test('recognises new-style API keys and undecodable credentials', () => {
+  assert.deepEqual(inspectCredential('sb_publishable_abc', URL), { kind: 'publishable_key', role: 'anon', refMatchesUrl: null, warnings: [] });
+  const secret = inspectCredential('sb_secret_abc', URL);
+  assert.equal(secret.role, 'service_role');
+  assert.match(secret.warnings[0], /secret API key/);
+  assert.deepEqual(inspectCredential('garbage', URL).warnings, ['Could not decode the credential as a JWT.']);
+});
+
+test('inspects the bearer token when given and logs service-role credentials loudly', () => {
+  const lines = [];
+  const result = inspectCredentials({ url: URL, key: jwt({ role: 'anon', ref: REF }), token: 'sb_secret_abc' }, (line) => lines.push(line));
+  assert.equal(result.key.role, 'anon');
+  assert.equal(result.token.kind, 'secret_key');
+  assert.ok(lines.some((line) => line.includes('SERVICE ROLE CREDENTIAL')));
+  assert.equal(inspectCredentials({ url: URL, key: 'sb_publishable_x' }, () => {}).token, undefined);
+});
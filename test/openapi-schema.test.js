@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeKeyMetadata, parseOpenApiColumns, relationshipsFromColumns } from '../src/openapi-schema.js';
+
+const spec = {
+  definitions: {
+    posts: {
+      required: ['id', 'author_id'],
+      properties: {
+        id: { format: 'bigint', type: 'integer', description: 'Note:\nThis is a Primary Key.<pk/>' },
+        author_id: { format: 'uuid', type: 'string', description: "Who wrote it\n\nNote:\nThis is a Foreign Key to `profiles.id`.<fk table='profiles' column='id'/>" },
+        status: { format: 'text', type: 'string', enum: ['draft', 'live'], default: 'draft', maxLength: 10 },
+      },
+    },
+    empty_view: {},
+  },
+};
+
+test('reads types, nullability, defaults and key notes', () => {
+  const { posts, empty_view: emptyView } = parseOpenApiColumns(spec);
+  assert.equal(emptyView, undefined);
+  assert.deepEqual(posts.map((c) => [c.column_name, c.data_type, c.is_nullable, c.ordinal_position]), [
+    ['id', 'bigint', 'NO', 1],
+    ['author_id', 'uuid', 'NO', 2],
+    ['status', 'text', 'YES', 3],
+  ]);
+  assert.equal(posts[0].is_primary_key, true);
+  assert.equal(posts[0].description, undefined);
+  assert.deepEqual(posts[1].foreign_key, { table: 'profiles', column: 'id' });
+  assert.equal(posts[1].description, 'Who wrote it');
+  assert.equal(posts[2].column_default, 'draft');
+  assert.deepEqual(posts[2].enum_values, ['draft', 'live']);
+  assert.equal(posts[2].max_length, 10);
+  assert.deepEqual(parseOpenApiColumns(null), {});
+});
+
+test('merges key metadata into columns found elsewhere', () => {
+  const { posts } = parseOpenApiColumns(spec);
+  const merged = mergeKeyMetadata([{ column_name: 'id', data_type: 'integer' }, { column_name: 'author_id', data_type: 'unknown' }, { column_name: 'extra' }], posts);
+  assert.deepEqual(merged[0], { column_name: 'id', data_type: 'integer', is_primary_key: true, foreign_key: undefined });
+  assert.equal(merged[1].data_type, 'uuid');
+  assert.deepEqual(merged[1].foreign_key, { table: 'profiles', column: 'id' });
+  assert.deepEqual(merged[2], { column_name: 'extra' });
+});
+
+test('lists foreign keys as relationships', () => {
+  const { posts } = parseOpenApiColumns(spec);
+  assert.deepEqual(relationshipsFromColumns(posts), [{ column: 'author_id', references: { table: 'profiles', column: 'id' } }]);
+  assert.deepEqual(relationshipsFromColumns(null), []);
+});
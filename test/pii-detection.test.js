@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { columnTokens, detectPII, parsePiiRules, PII_RULES, withCustomRules } from '../src/pii-detection.js';
+
+const find = (findings, column, piiType) => findings.find((f) => f.column === column && f.piiType === piiType);
+
+test('splits column names into tokens', () => {
+  assert.deepEqual(columnTokens('billingPhone'), ['billing', 'phone']);
+  assert.deepEqual(columnTokens('home-address_line2'), ['home', 'address', 'line2']);
+});
+
+test('matches column name terms but not id, flag or ruled-out columns', () => {
+  const columns = ['user_phone', 'phone_verified', 'ip_address', 'state', 'state_code'].map((column_name) => ({ column_name }));
+  const found = detectPII(columns, []).map((f) => `${f.column}:${f.piiType}`);
+  assert.deepEqual(found, ['user_phone:telephone', 'ip_address:ip_address', 'state:address']);
+});
+
+test('raises confidence to value when sample values match the rule', () => {
+  const findings = detectPII([{ column_name: 'email' }, { column_name: 'age' }], [{ email: 'ann@example.com', age: 'n/a' }]);
+  assert.equal(find(findings, 'email', 'email').confidence, 'value');
+  assert.equal(find(findings, 'age', 'age').confidence, 'column_name');
+});
+
+test('value-only matches are validated with Luhn and the IBAN checksum', () => {
+  const rows = [{ notes: 'card 4111 1111 1111 1111, iban GB82 WEST 1234 5698 7654 32', other: 'card 4111 1111 1111 1112, iban GB00 WEST 1234 5698 7654 32' }];
+  const findings = detectPII([], rows);
+  assert.deepEqual(find(findings, 'notes', 'payment_card'), { column: 'notes', piiType: 'payment_card', gdprCategory: 'financial', confidence: 'value_only', examples: ['4111 1111 1111 1111'] });
+  assert.equal(find(findings, 'notes', 'iban').confidence, 'value_only');
+  assert.equal(findings.filter((f) => f.column === 'other').length, 0);
+});
+
+test('card numbers in numeric or id columns are not reported as value-only matches', () => {
+  const columns = [{ column_name: 'big', data_type: 'bigint' }, { column_name: 'order_id', data_type: 'text' }, { column_name: 'ref', data_type: 'text' }];
+  const findings = detectPII(columns, [{ big: 4111111111111111, order_id: '4111111111111111', ref: '4111111111111111' }]);
+  assert.deepEqual(findings.map((f) => `${f.column}:${f.piiType}`), ['ref:payment_card']);
+});
+
+test('parses custom rules and rejects malformed ones', async () => {
+  const [rule] = await parsePiiRules('rules:\n  - piiType: member_no\n    gdprCategory: identity\n    columnPattern: "^mem_"\n    valuePattern: "^M\\\\d{6}$"\n', 'pii.yaml');
+  assert.equal(rule.columnPattern.test('MEM_NO'), true);
+  assert.equal(rule.valuePattern.test('M123456'), true);
+  const bad = async (r) => parsePiiRules(JSON.stringify({ rules: [{ piiType: 'x', gdprCategory: 'identity', ...r }] }));
+  await assert.rejects(bad({ columns: 'x' }), /rule 1 \(x\): columns must be an array of strings/);
+  await assert.rejects(bad({ exactColumns: [1] }), /exactColumns must be an array of strings/);
+  await assert.rejects(bad({ columnPattern: ['a'] }), /columnPattern must be a regex string/);
+  await assert.rejects(bad({ columns: ['a'], colums: ['b'] }), /unknown key\(s\) colums/);
+  await assert.rejects(bad({ valueOnly: true }), /valueOnly needs a valuePattern/);
+  await assert.rejects(bad({ columnPattern: '(' }), /rule 1 \(x\): Invalid regular expression/);
+  await assert.rejects(parsePiiRules('{"rules":[{"piiType":"x","gdprCategory":"secret","columns":["a"]}]}'), /gdprCategory must be one of/);
+  await assert.rejects(parsePiiRules('{}'), /must contain a "rules" array/);
+});
+
+test('custom rules extend the defaults and replace a built-in piiType', async () => {
+  const custom = await parsePiiRules('{"rules":[{"piiType":"email","gdprCategory":"contact","exactColumns":["contact"]},{"piiType":"member_no","gdprCategory":"identity","valuePattern":"M\\\\d{6}","valueOnly":true}]}');
+  const rules = withCustomRules(custom);
+  assert.equal(withCustomRules([]), PII_RULES);
+  assert.equal(rules.length, PII_RULES.length + 1);
+  const findings = detectPII([{ column_name: 'email' }, { column_name: 'contact' }], [{ email: 'x', contact: 'a@b.co', note: 'id M123456' }], rules);
+  assert.deepEqual(findings.map((f) => `${f.column}:${f.piiType}:${f.confidence}`), ['contact:email:column_name', 'note:member_no:value_only']);
+});
+
+test('reports PII nested in JSON values by path, with array indices collapsed', () => {
+  const rows = [
+    { id: 1, metadata: { contact: { phone: '+44 20 7946 0958' }, tags: ['a'] }, history: [{ ip: '10.1.2.3' }] },
+    { id: 2, metadata: { contact: { phone: '+44 20 7946 0000' } }, history: [{ ip: '10.1.2.4' }, { ip: '10.1.2.5' }] },
+  ];
+  const findings = detectPII([{ column_name: 'id' }, { column_name: 'metadata', data_type: 'jsonb' }, { column_name: 'history', data_type: 'jsonb' }], rows);
+  assert.deepEqual(findings.map((f) => `${f.column} ${f.path} ${f.piiType} ${f.confidence}`), [
+    'metadata metadata.contact.phone telephone value',
+    'history history[].ip ip_address value',
+  ]);
+  assert.deepEqual(findings[0].examples, ['+44 20 7946 0958', '+44 20 7946 0000']);
+});
+
+test('a matching key is dropped when a value under it matched, and kept when none did', () => {
+  const covered = detectPII([], [{ address: { street: '1 High St', note: 'x' } }]);
+  assert.deepEqual(covered.map((f) => f.path || f.column), ['address.street']);
+  const keyOnly = detectPII([], [{ profile: { address: { note: null } } }]);
+  assert.deepEqual(keyOnly.map((f) => `${f.path}:${f.confidence}`), ['profile.address:column_name']);
+});
+
+test('value-only matches inside JSON report the nested path', () => {
+  const [finding] = detectPII([], [{ payload: { note: 'write to jo@example.org' } }]);
+  assert.deepEqual(finding, { column: 'payload', path: 'payload.note', piiType: 'email', gdprCategory: 'contact', confidence: 'value_only', examples: ['jo@example.org'] });
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluatePolicy, parsePolicy } from '../src/policy.js';
+
+const result = {
+  tables: [
+    { table_name: 'products', table_schema: 'public', rowCount: 3 },
+    { table_name: 'orders', table_schema: 'shop', rowCount: 8 },
+    { table_name: 'profiles', table_schema: 'public', rowCount: 2, piiFindings: [{ column: 'name', piiType: 'name', gdprCategory: 'identity' }, { column: 'email', piiType: 'email', gdprCategory: 'contact' }] },
+  ],
+  storage: { buckets: [{ name: 'avatars', public: true }] },
+};
+
+test('parses JSON and YAML policies', async () => {
+  assert.deepEqual(await parsePolicy('{"failOn":"error"}'), { failOn: 'error' });
+  assert.deepEqual(await parsePolicy('failOn: note\ntables:\n  allowPublic: [products]\n', 'policy.yml'), { failOn: 'note', tables: { allowPublic: ['products'] } });
+});
+
+test('rejects unknown keys, bad levels and non-object policies', async () => {
+  await assert.rejects(parsePolicy('{"fail_on":"error"}'), /Unknown policy key\(s\): fail_on/);
+  await assert.rejects(parsePolicy('{"failOn":"critical"}'), /failOn must be one of/);
+  await assert.rejects(parsePolicy('[]'), /Policy must be an object/);
+});
+
+test('allowlists match bare names in public and globs across schemas', () => {
+  const { violations, allowed } = evaluatePolicy(result, {
+    failOn: 'error',
+    tables: { allowPublic: ['products', 'profiles', 'shop.*'] },
+    buckets: { allowPublic: ['avatars'] },
+    pii: { allow: { 'public.profiles': ['name', 'contact'] } },
+  });
+  assert.deepEqual(violations, []);
+  assert.equal(allowed, 6);
+});
+
+test('a declared table allowlist fails readable tables outside it regardless of failOn', () => {
+  const { violations } = evaluatePolicy(result, { failOn: 'error', tables: { allowPublic: ['products', 'profiles'] } });
+  assert.deepEqual(violations.map((v) => v.uri), ['table://shop.orders']);
+});
+
+test('failOn sets the severity threshold and ignoreRules drops findings', () => {
+  const warn = evaluatePolicy(result, {});
+  assert.equal(warn.failOn, 'warning');
+  assert.deepEqual(warn.violations.map((v) => v.ruleId).sort(), ['bucket-public', 'pii-column-exposed', 'pii-column-exposed']);
+  const ignored = evaluatePolicy(result, { ignoreRules: ['pii-column-exposed', 'bucket-public'] });
+  assert.deepEqual(ignored.violations, []);
+  assert.equal(ignored.ignored, 3);
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkPrivateBucketAccess } from '../src/extractor.js';
+import { collectFindings } from '../src/findings.js';
+
+const BASE = 'https://x.supabase.co/storage/v1/object';
+
+/** Bucket stand-in: `readable` paths download, `signed` paths get a signed URL; URLs in `served` return 200. */
+function fakeBucket({ readable = [], signed = [] }) {
+  return {
+    download: async (path) => (readable.includes(path) ? { data: new Blob(['x']), error: null } : { data: null, error: { message: 'Object not found' } }),
+    createSignedUrl: async (path) => (signed.includes(path) ? { data: { signedUrl: `${BASE}/sign/docs/${path}?token=t` }, error: null } : { data: null, error: { message: 'denied' } }),
+    getPublicUrl: (path) => ({ data: { publicUrl: `${BASE}/public/docs/${path}` } }),
+  };
+}
+const serving = (served) => async (url) => new Response('', { status: served.some((s) => url.startsWith(`${BASE}/${s}`)) ? 200 : 400 });
+
+const objects = Array.from({ length: 7 }, (_, i) => ({ path: `f${i}.txt`, size: 7 - i }));
+
+test('samples the five smallest objects and counts downloads, signed and public URLs', async () => {
+  const bucket = fakeBucket({ readable: ['f6.txt', 'f5.txt'], signed: ['f6.txt', 'f4.txt'] });
+  const check = await checkPrivateBucketAccess(bucket, objects, serving(['sign/docs/f6.txt', 'public/docs/f2.txt']));
+  assert.deepEqual(check, { sampleSize: 5, downloaded: 2, signedUrls: 2, signedUrlsServed: 1, publicUrlsServed: 1, corsOrNetworkError: undefined });
+});
+
+test('a refused public URL pattern and no reads produce no findings', async () => {
+  const privateAccessCheck = await checkPrivateBucketAccess(fakeBucket({}), objects, serving([]));
+  assert.equal(privateAccessCheck.publicUrlsServed, 0);
+  assert.deepEqual(collectFindings({ tables: [], storage: { buckets: [{ name: 'docs', public: false, privateAccessCheck }] } }), []);
+});
+
+test('readable private buckets and served public URLs become findings', () => {
+  const privateAccessCheck = { sampleSize: 5, downloaded: 2, signedUrls: 2, signedUrlsServed: 1, publicUrlsServed: 1 };
+  const findings = collectFindings({ tables: [], storage: { buckets: [{ name: 'docs', public: false, privateAccessCheck }] } });
+  assert.deepEqual(findings.map((f) => `${f.ruleId} ${f.level} ${f.uri}`), [
+    'bucket-private-public-url error bucket://docs',
+    'bucket-private-readable warning bucket://docs',
+  ]);
+});
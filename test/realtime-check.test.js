@@ -0,0 +1,75 @@
+/**
+ * End-to-end check of the Realtime exposure path against a `ws` server speaking just enough
+ * of the Phoenix protocol Supabase Realtime uses; checkRealtimeExposure reaches it through
+ * the `transport` option, so no Supabase project is needed.
+ *
+ * The stand-in accepts changes on `messages` and delivers one INSERT, accepts the join on
+ * `secrets` but refuses the changes subscription with a system error, and relays one
+ * broadcast on the `lobby` channel.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClient } from '@supabase/supabase-js';
+import WebSocket, { WebSocketServer } from 'ws';
+import { checkRealtimeExposure } from '../src/realtime-check.js';
+
+const EVENT_DELAY_MS = 100;
+
+function startStandIn() {
+  const server = new WebSocketServer({ host: '127.0.0.1', port: 0, path: '/realtime/v1/websocket' });
+  server.on('connection', (socket) => {
+    const send = (topic, event, payload, ref = null) => socket.send(JSON.stringify({ topic, event, payload, ref }));
+    const reply = (msg, response = {}) => send(msg.topic, 'phx_reply', { status: 'ok', response }, msg.ref);
+    const later = (fn) => setTimeout(fn, EVENT_DELAY_MS);
+
+    socket.on('message', (raw) => {
+      const msg = JSON.parse(raw.toString());
+      if (msg.event !== 'phx_join') {
+        reply(msg);
+        return;
+      }
+      // Each requested filter gets a server id; events name the ids they are meant for.
+      const filters = msg.payload?.config?.postgres_changes || [];
+      const bindings = filters.map((f, i) => ({ ...f, id: i + 1 }));
+      reply(msg, filters.length ? { postgres_changes: bindings } : {});
+      const table = filters[0]?.table;
+      if (table === 'messages') {
+        later(() => send(msg.topic, 'postgres_changes', {
+          ids: bindings.map((b) => b.id),
+          data: { schema: 'public', table, type: 'INSERT', commit_timestamp: new Date().toISOString(), columns: [{ name: 'id', type: 'int8' }], record: { id: 1 }, errors: null },
+        }));
+      } else if (table === 'secrets') {
+        later(() => send(msg.topic, 'system', { status: 'error', extension: 'postgres_changes', message: 'Unauthorized: You do not have permissions to read from this table' }));
+      } else if (msg.topic === 'realtime:lobby') {
+        later(() => send(msg.topic, 'broadcast', { type: 'broadcast', event: 'cursor', payload: { x: 1 } }));
+      }
+    });
+  });
+  return new Promise((resolve) => server.on('listening', () => resolve(server)));
+}
+
+test('reports delivered changes, refused subscriptions and public channel broadcasts', async () => {
+  const server = await startStandIn();
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const supabase = createClient(url, 'stand-in-anon-key', { auth: { persistSession: false, autoRefreshToken: false } });
+  const tables = [{ table_name: 'messages', table_schema: 'public' }, { table_name: 'secrets', table_schema: 'public' }];
+
+  let result;
+  try {
+    result = await checkRealtimeExposure(supabase, tables, { windowSeconds: 1, transport: WebSocket }, () => {});
+  } finally {
+    server.close();
+  }
+
+  const byTable = Object.fromEntries(result.tables.map((t) => [t.table_name, t]));
+  const lobby = result.channels.find((c) => c.channel === 'lobby');
+  assert.equal(result.connected, true);
+  assert.equal(byTable.messages.subscribed, true);
+  assert.equal(byTable.messages.events, 1);
+  assert.deepEqual(byTable.messages.eventTypes, ['INSERT']);
+  assert.equal(byTable.secrets.subscribed, false);
+  assert.match(byTable.secrets.error, /Unauthorized/);
+  assert.equal(lobby.subscribed, true);
+  assert.equal(lobby.broadcasts, 1);
+});
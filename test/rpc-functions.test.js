@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRpcFunctions, probeRpcFunctions } from '../src/rpc-functions.js';
+
+const spec = {
+  paths: {
+    '/profiles': { get: {} },
+    '/rpc/search_posts': {
+      get: { summary: 'Full-text search', parameters: [{ in: 'query', name: 'term', type: 'string', format: 'text', required: true }] },
+      post: { parameters: [{ in: 'body', schema: { required: ['term'], properties: { term: { format: 'text' }, lim: { format: 'integer' } } } }] },
+    },
+    '/rpc/delete_account': { post: { parameters: [{ in: 'body', schema: { properties: {} } }] } },
+    '/rpc/by_point': { get: { parameters: [{ in: 'query', name: 'p', format: 'point', required: true }] } },
+  },
+};
+
+test('parses /rpc paths with parameters and volatility', () => {
+  const fns = parseRpcFunctions(spec);
+  assert.deepEqual(fns.map((f) => f.name), ['by_point', 'delete_account', 'search_posts']);
+  const search = fns.find((f) => f.name === 'search_posts');
+  assert.equal(search.volatility, 'stable_or_immutable');
+  assert.deepEqual(search.methods, ['GET', 'POST']);
+  assert.equal(search.description, 'Full-text search');
+  assert.deepEqual(search.parameters, [{ name: 'term', type: 'text', required: true }, { name: 'lim', type: 'integer', required: false }]);
+  assert.equal(fns.find((f) => f.name === 'delete_account').volatility, 'volatile');
+  assert.deepEqual(parseRpcFunctions(undefined), []);
+});
+
+test('probes only read-only functions with supported argument types', async () => {
+  const urls = [];
+  const supabase = {
+    supabaseUrl: 'https://example.supabase.co',
+    supabaseKey: 'anon',
+    fetch: async (url) => {
+      urls.push(url);
+      return new Response(JSON.stringify([{ id: 1 }, { id: 2 }]), { status: 200 });
+    },
+  };
+  const fns = await probeRpcFunctions(supabase, parseRpcFunctions(spec), () => {});
+  assert.deepEqual(urls, ['https://example.supabase.co/rest/v1/rpc/search_posts?term=']);
+  const byName = Object.fromEntries(fns.map((f) => [f.name, f.probe]));
+  assert.deepEqual(byName.search_posts, { called: true, status: 200, callable: true, code: undefined, message: undefined, rowCount: 2 });
+  assert.equal(byName.delete_account.called, false);
+  assert.equal(byName.by_point.reason, 'unsupported argument types');
+});
+
+test('errors raised inside the function body mean EXECUTE was granted', async () => {
+  const answer = (status, body) => ({ supabaseUrl: 'https://x', supabaseKey: 'anon', fetch: async () => new Response(JSON.stringify(body), { status }) });
+  const fn = () => [{ name: 'f', parameters: [], volatility: 'stable_or_immutable', methods: ['GET'] }];
+  const [raised] = await probeRpcFunctions(answer(400, { code: 'P0001', message: 'boom' }), fn(), () => {});
+  const [denied] = await probeRpcFunctions(answer(401, { code: '42501', message: 'permission denied for function f' }), fn(), () => {});
+  assert.equal(raised.probe.callable, true);
+  assert.equal(denied.probe.callable, false);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RULES } from '../src/findings.js';
+import { toSarif } from '../src/sarif.js';
+
+const result = {
+  tables: [
+    { table_name: 'profiles', table_schema: 'public', rowCount: 12, piiFindings: [{ column: 'email', piiType: 'email', gdprCategory: 'contact', confidence: 'value' }] },
+    { table_name: 'secrets', table_schema: 'public', error: 'permission denied' },
+  ],
+  storage: {
+    buckets: [{
+      name: 'user files',
+      public: true,
+      contentSample: { objects: [{ path: 'exports/q1 #2.csv', secretFindings: [{ secretType: 'aws_access_key', confidence: 'high' }], piiFindings: [] }] },
+    }],
+  },
+};
+
+test('builds a SARIF 2.1.0 log with one rule per finding type', () => {
+  const sarif = toSarif(result, { toolVersion: '1.2.3', target: 'https://abc.supabase.co' });
+  assert.equal(sarif.version, '2.1.0');
+  const [run] = sarif.runs;
+  assert.equal(run.tool.driver.version, '1.2.3');
+  assert.deepEqual(run.tool.driver.rules.map((r) => r.id), Object.keys(RULES));
+  assert.deepEqual(run.properties, { target: 'https://abc.supabase.co' });
+  assert.equal(run.originalUriBaseIds, undefined);
+  for (const r of run.results) {
+    assert.equal(run.tool.driver.rules[r.ruleIndex].id, r.ruleId);
+    assert.equal(r.level, RULES[r.ruleId].level);
+  }
+});
+
+test('reports readable tables and their PII, but not unreadable tables', () => {
+  const { results } = toSarif(result).runs[0];
+  const ids = results.map((r) => `${r.ruleId} ${r.locations[0].physicalLocation.artifactLocation.uri}`);
+  assert.ok(ids.includes('table-readable table://public.profiles'));
+  assert.ok(ids.includes('pii-column-exposed table://public.profiles'));
+  assert.ok(!ids.some((id) => id.includes('secrets')));
+  const pii = results.find((r) => r.ruleId === 'pii-column-exposed');
+  assert.deepEqual(pii.locations[0].logicalLocations, [{ name: 'email', fullyQualifiedName: 'public.profiles.email', kind: 'member' }]);
+  assert.equal(pii.partialFingerprints.resource, 'pii-column-exposed:public.profiles.email');
+});
+
+test('percent-encodes bucket names and object paths in artifact URIs', () => {
+  const uris = toSarif(result).runs[0].results.map((r) => r.locations[0].physicalLocation.artifactLocation.uri);
+  assert.ok(uris.includes('bucket://user%20files'));
+  assert.ok(uris.includes('bucket://user%20files/exports/q1%20%232.csv'));
+  for (const uri of uris) assert.doesNotThrow(() => new URL(uri));
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequestScheduler, parseRetryAfter } from '../src/scheduler.js';
+
+/** Base fetch that plays back `answers` (a status, or an Error to throw) and counts calls. */
+function scripted(answers) {
+  const calls = [];
+  const fetch = async (url, init = {}) => {
+    calls.push(init.method || 'GET');
+    const next = answers[Math.min(calls.length - 1, answers.length - 1)];
+    if (next instanceof Error) throw next;
+    return new Response(null, { status: next, headers: { 'Retry-After': '0' } });
+  };
+  return { fetch, calls };
+}
+
+test('parses Retry-After seconds and HTTP dates', () => {
+  assert.equal(parseRetryAfter('2'), 2000);
+  assert.equal(parseRetryAfter(null), null);
+  assert.equal(parseRetryAfter('soon'), null);
+  assert.equal(parseRetryAfter(new Date(Date.now() - 60000).toUTCString()), 0);
+  const ahead = parseRetryAfter(new Date(Date.now() + 60000).toUTCString());
+  assert.ok(ahead > 50000 && ahead <= 60000);
+});
+
+test('retries 429 and gateway errors, then returns the response', async () => {
+  const base = scripted([429, 503, 200]);
+  const scheduler = createRequestScheduler({ fetch: base.fetch, maxRetries: 3, concurrency: 4 });
+  const res = await scheduler.fetch('https://x/rest/v1/t');
+  assert.equal(res.status, 200);
+  assert.equal(base.calls.length, 3);
+  assert.deepEqual(scheduler.stats, { requests: 3, retries: 2, throttled: 2, failed: 0 });
+});
+
+test('a plain 500 is returned at once and does not throttle', async () => {
+  const base = scripted([500]);
+  const scheduler = createRequestScheduler({ fetch: base.fetch });
+  assert.equal((await scheduler.fetch('https://x')).status, 500);
+  assert.equal(base.calls.length, 1);
+  assert.equal(scheduler.stats.throttled, 0);
+});
+
+test('writes are retried on 429 only', async () => {
+  const gateway = scripted([504, 200]);
+  const limited = scripted([429, 201]);
+  const reset = scripted([new Error('socket hang up'), 201]);
+  const opts = (base) => ({ fetch: base.fetch, maxRetries: 2 });
+  assert.equal((await createRequestScheduler(opts(gateway)).fetch('https://x', { method: 'POST' })).status, 504);
+  assert.equal((await createRequestScheduler(opts(limited)).fetch('https://x', { method: 'PATCH' })).status, 201);
+  await assert.rejects(createRequestScheduler(opts(reset)).fetch('https://x', { method: 'DELETE' }), /socket hang up/);
+  assert.deepEqual([gateway.calls.length, limited.calls.length, reset.calls.length], [1, 2, 1]);
+});
+
+test('network errors on reads are retried, and counted as failed once retries run out', async () => {
+  const base = scripted([new Error('ECONNRESET')]);
+  const scheduler = createRequestScheduler({ fetch: base.fetch, maxRetries: 1 });
+  await assert.rejects(scheduler.fetch('https://x', { method: 'GET' }), /ECONNRESET/);
+  assert.equal(base.calls.length, 2);
+  assert.equal(scheduler.stats.failed, 1);
+});
+
+test('map keeps input order and never exceeds the concurrency limit', async () => {
+  let active = 0;
+  let peak = 0;
+  const scheduler = createRequestScheduler({ concurrency: 3 });
+  const out = await scheduler.map([5, 1, 4, 2, 3, 0], async (ms, i) => {
+    active += 1;
+    peak = Math.max(peak, active);
+    await new Promise((r) => setTimeout(r, ms));
+    active -= 1;
+    return i;
+  });
+  assert.deepEqual(out, [0, 1, 2, 3, 4, 5]);
+  assert.equal(peak, 3);
+});
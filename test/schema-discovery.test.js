@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { discoverSchemas } from '../src/schema-discovery.js';
+
+const refusal = (body) => new Response(JSON.stringify({ code: 'PGRST106', details: null, ...body }), { status: 406 });
+
+/** PostgREST stand-in exposing public, api, storage and tenant_a; storage serves no OpenAPI paths. */
+function fakePostgrest({ refusalBody = { hint: 'Only the following schemas are exposed: public, api, storage, tenant_a', message: 'Invalid schema: x' } } = {}) {
+  const profiles = [];
+  const specs = {
+    api: { paths: { '/': {}, '/widgets': {}, '/widgets/{id}': {}, '/rpc/do_thing': {} } },
+    storage: { paths: {} },
+    tenant_a: { paths: { '/invoices': {} } },
+  };
+  return {
+    profiles,
+    supabaseUrl: 'https://x.supabase.co',
+    supabaseKey: 'anon',
+    fetch: async (url, init) => {
+      const schema = init.headers['Accept-Profile'];
+      profiles.push(schema);
+      if (schema === 'vault') throw new Error('socket hang up');
+      return specs[schema] ? new Response(JSON.stringify(specs[schema])) : refusal({ ...refusalBody, message: refusalBody.message.replace('x', schema) });
+    },
+    schema: (schema) => ({
+      from: (table) => ({
+        select: () => ({ limit: async () => (schema === 'storage' && table === 'buckets' ? { data: [], error: null } : { data: null, error: { code: '42501', message: 'permission denied' } }) }),
+      }),
+    }),
+  };
+}
+
+test('finds exposed schemas, including ones only the refusal hint names', async () => {
+  const supabase = fakePostgrest();
+  const lines = [];
+  const schemas = await discoverSchemas(supabase, ['tenant_b', 'public'], (line) => lines.push(line));
+  assert.equal(supabase.profiles[0], 'tenant_b');
+  assert.ok(!supabase.profiles.includes('public'));
+  const byName = Object.fromEntries(schemas.map((s) => [s.name, s]));
+  assert.deepEqual(byName.api.tables, [{ table_name: 'widgets', table_schema: 'api', table_type: 'BASE TABLE' }]);
+  assert.deepEqual(byName.storage.tables.map((t) => t.table_name), ['buckets']);
+  assert.equal(byName.tenant_a.source, 'server');
+  assert.equal(byName.tenant_a.tables[0].table_name, 'invoices');
+  assert.equal(byName.tenant_b.exposed, false);
+  assert.equal(byName.vault.exposed, null);
+  assert.equal(byName.vault.error, 'socket hang up');
+  assert.ok(!('listed' in byName.api));
+  assert.ok(lines.includes('     ⚠️  Schema tenant_b is not exposed'));
+  assert.ok(lines.includes('     Server lists exposed schemas: public, api, storage, tenant_a'));
+});
+
+test('reads the schema list from the older PostgREST message wording', async () => {
+  const supabase = fakePostgrest({ refusalBody: { message: 'The schema must be one of the following: public, tenant_a', hint: null } });
+  const schemas = await discoverSchemas(supabase, [], () => {});
+  assert.deepEqual(schemas.filter((s) => s.exposed).map((s) => s.name), ['storage', 'api', 'tenant_a']);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isBinary, parseSampleContent, sampleBucketContent } from '../src/storage-content.js';
+
+test('detects binaries by magic bytes, ISO media boxes and NUL bytes', () => {
+  assert.equal(isBinary(Uint8Array.from([0x89, 0x50, 0x4e, 0x47, 0x0d])), true);
+  assert.equal(isBinary(Uint8Array.from([0, 0, 0, 0x18, 0x66, 0x74, 0x79, 0x70])), true);
+  assert.equal(isBinary(new TextEncoder().encode('a\u0000b')), true);
+  assert.equal(isBinary(new TextEncoder().encode('name,email\n')), false);
+});
+
+test('parses CSV with quoted cells into rows keyed by header', () => {
+  const { format, rows } = parseSampleContent('name,email,\n"Doe, Jane",jane@example.com,x\n"say ""hi""",b@c.de,y\n', 'users.csv');
+  assert.equal(format, 'csv');
+  assert.deepEqual(rows, [
+    { name: 'Doe, Jane', email: 'jane@example.com', column_3: 'x' },
+    { name: 'say "hi"', email: 'b@c.de', column_3: 'y' },
+  ]);
+});
+
+test('parses JSON, NDJSON and .env files', () => {
+  assert.deepEqual(parseSampleContent('[{"a":1},2]', 'x.json'), { format: 'json', rows: [{ a: 1 }, { value: 2 }] });
+  assert.deepEqual(parseSampleContent('{"a":1}\nnot json\n', 'x.ndjson').rows, [{ a: 1 }, { text: 'not json' }]);
+  assert.deepEqual(parseSampleContent('# c\nexport DB_URL="postgres://x"\nAPI_KEY=abc\n', 'config/.env.local'), { format: 'env', rows: [{ DB_URL: 'postgres://x', API_KEY: 'abc' }] });
+});
+
+test('truncated JSON and plain text are scanned line by line, plus the text as a whole', () => {
+  const { format, rows } = parseSampleContent('{"a": 1,\n"b":', 'cut.json');
+  assert.equal(format, 'text');
+  assert.deepEqual(rows, [{ text: '{"a": 1,\n"b":' }, { text: '{"a": 1,' }, { text: '"b":' }]);
+});
+
+test('samples text-like objects with a Range request and reports findings', async () => {
+  const files = {
+    'exports/users.csv': 'email\nann@example.com\n',
+    'img.png': '',
+    'notes.txt': 'nothing here',
+    'blob.bin.txt': '\u0000\u0001',
+  };
+  const requests = [];
+  const supabase = {
+    supabaseUrl: 'https://x.supabase.co',
+    fetch: async (url, init) => {
+      requests.push([url, init.headers.Range]);
+      const path = decodeURIComponent(url.split('/object/authenticated/docs/')[1] || '');
+      return path in files ? new Response(files[path]) : new Response('', { status: 400 });
+    },
+  };
+  const objects = Object.keys(files).map((path) => ({ path, name: path.split('/').pop() })).concat({ path: 'gone.txt', name: 'gone.txt' });
+  const result = await sampleBucketContent(supabase, 'docs', objects, { maxBytes: 1024 });
+  assert.deepEqual(requests[0], ['https://x.supabase.co/storage/v1/object/authenticated/docs/exports/users.csv', 'bytes=0-1023']);
+  assert.ok(!requests.some(([url]) => url.endsWith('img.png')));
+  assert.equal(result.sampled, 2);
+  assert.equal(result.skippedBinary, 1);
+  assert.equal(result.errors, 1);
+  assert.deepEqual(result.objects.map((o) => [o.path, o.format, o.piiFindings[0].piiType]), [['exports/users.csv', 'csv', 'email']]);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { walkBucket } from '../src/storage-walker.js';
+
+/** Fake bucket API over a nested object: numbers are file sizes, objects are folders. */
+function fakeBucket(tree, { deny = [] } = {}) {
+  const calls = [];
+  return {
+    calls,
+    async list(prefix, { limit, offset }) {
+      calls.push({ prefix, offset });
+      if (deny.includes(prefix)) return { data: null, error: { message: 'not allowed' } };
+      const folder = prefix ? prefix.split('/').reduce((node, part) => node?.[part], tree) : tree;
+      const entries = Object.entries(folder || {}).sort(([a], [b]) => a.localeCompare(b)).map(([name, value]) => (
+        typeof value === 'number'
+          ? { name, id: `${prefix}/${name}`, metadata: { size: value, mimetype: name.endsWith('.png') ? 'image/png' : 'text/plain' } }
+          : { name, id: null, metadata: null }
+      ));
+      return { data: entries.slice(offset, offset + limit), error: null };
+    },
+  };
+}
+
+const many = (count) => Object.fromEntries(Array.from({ length: count }, (_, i) => [`f${String(i).padStart(3, '0')}.txt`, 1]));
+
+test('walks folders breadth-first and totals by prefix, extension and mimetype', async () => {
+  const bucket = fakeBucket({ 'readme.txt': 10, avatars: { 'a.png': 100, 'b.png': 50, thumbs: { 'c.png': 5 } } });
+  const result = await walkBucket(bucket);
+  assert.deepEqual(result.objects.map((o) => o.path), ['readme.txt', 'avatars/a.png', 'avatars/b.png', 'avatars/thumbs/c.png']);
+  assert.equal(result.folders, 2);
+  assert.equal(result.totalSize, 165);
+  assert.equal(result.maxDepthReached, 2);
+  assert.deepEqual(result.extensions, { txt: { count: 1, size: 10 }, png: { count: 3, size: 155 } });
+  assert.deepEqual(result.mimetypes['image/png'], { count: 3, size: 155 });
+  assert.deepEqual(result.prefixes, [
+    { prefix: 'avatars', objects: 3, size: 155 },
+    { prefix: '(root)', objects: 1, size: 10 },
+    { prefix: 'avatars/thumbs', objects: 1, size: 5 },
+  ]);
+  assert.equal(result.truncated, false);
+});
+
+test('pages large folders with offsets', async () => {
+  const bucket = fakeBucket({ big: many(150) });
+  const result = await walkBucket(bucket);
+  assert.equal(result.objects.length, 150);
+  assert.deepEqual(bucket.calls.map((c) => `${c.prefix}@${c.offset}`), ['@0', 'big@0', 'big@100']);
+});
+
+test('stops at maxDepth and maxObjects and reports what is left', async () => {
+  const deep = await walkBucket(fakeBucket({ a: { b: { 'x.txt': 1 } } }), { maxDepth: 1 });
+  assert.equal(deep.objects.length, 0);
+  assert.equal(deep.truncated, true);
+
+  const capped = await walkBucket(fakeBucket({ 'root.txt': 1, one: many(3), two: many(3) }), { maxObjects: 4 });
+  assert.equal(capped.objects.length, 4);
+  assert.equal(capped.truncated, true);
+  assert.deepEqual(capped.pending, ['two']);
+});
+
+test('a refused root listing is an error; a refused subfolder is skipped', async () => {
+  assert.equal((await walkBucket(fakeBucket({}, { deny: [''] }))).error, 'not allowed');
+  const partial = await walkBucket(fakeBucket({ 'a.txt': 1, secret: { 'b.txt': 1 } }, { deny: ['secret'] }));
+  assert.equal(partial.error, undefined);
+  assert.deepEqual(partial.objects.map((o) => o.path), ['a.txt']);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { probeBucketWrites } from '../src/storage-write-probe.js';
+
+const denied = { data: null, error: { statusCode: '403', message: 'new row violates row-level security policy' } };
+
+/** In-memory bucket; `overrides` replace individual operations. */
+function fakeBucket(overrides = {}) {
+  const files = new Map();
+  const calls = [];
+  const api = {
+    files,
+    calls,
+    async upload(path, body) {
+      files.set(path, body);
+      return { data: { path }, error: null };
+    },
+    async list(_prefix, { search }) {
+      return { data: [...files.keys()].filter((name) => name.includes(search)).map((name) => ({ name })), error: null };
+    },
+    async download(path) {
+      return files.has(path) ? { data: files.get(path), error: null } : { data: null, error: { statusCode: '404', message: 'Object not found' } };
+    },
+    async update(path, body) {
+      files.set(path, body);
+      return { data: { path }, error: null };
+    },
+    async move(from, to) {
+      files.set(to, files.get(from));
+      files.delete(from);
+      return { data: {}, error: null };
+    },
+    async remove(paths) {
+      const removed = paths.filter((path) => files.delete(path)).map((name) => ({ name }));
+      return { data: removed, error: null };
+    },
+  };
+  for (const [op, fn] of Object.entries(overrides)) api[op] = fn.bind(api);
+  return new Proxy(api, {
+    get(target, prop) {
+      if (typeof target[prop] === 'function') return (...args) => (calls.push(prop), target[prop](...args));
+      return target[prop];
+    },
+  });
+}
+
+test('full access: upload, overwrite, move and delete leave nothing behind', async () => {
+  const bucket = fakeBucket();
+  const result = await probeBucketWrites(bucket);
+  assert.deepEqual(result.permissions, { list: true, read: true, upload: true, overwrite: true, delete: true });
+  assert.match(result.marker, /^supamole-write-probe-[a-z0-9]+-[0-9a-f]{8}\.txt$/);
+  assert.deepEqual(result.leftovers, []);
+  assert.equal(bucket.files.size, 0);
+});
+
+test('a denied upload skips cleanup and checks read access on the smallest indexed object', async () => {
+  const bucket = fakeBucket({ upload: async () => denied });
+  bucket.files.set('small.txt', 'x');
+  const result = await probeBucketWrites(bucket, { objects: [{ path: 'big.txt', size: 10 }, { path: 'small.txt', size: 1 }] });
+  assert.equal(result.permissions.upload, false);
+  assert.equal(result.permissions.read, true);
+  assert.equal(result.permissions.list, true);
+  assert.equal(result.details.upload.status, 403);
+  assert.deepEqual(bucket.calls, ['upload', 'download']);
+  assert.deepEqual(result.leftovers, []);
+});
+
+test('an upload that errors but may have landed is still cleaned up', async () => {
+  const bucket = fakeBucket({
+    async upload(path, body) {
+      this.files.set(path, body);
+      return { data: null, error: { statusCode: '500', message: 'upstream timeout' } };
+    },
+  });
+  const result = await probeBucketWrites(bucket);
+  assert.equal(result.permissions.upload, null);
+  assert.deepEqual(bucket.calls, ['upload', 'remove']);
+  assert.deepEqual(result.leftovers, []);
+  assert.equal(bucket.files.size, 0);
+});
+
+test('an unconfirmed removal is reported as a leftover', async () => {
+  const bucket = fakeBucket({ remove: async () => ({ data: [], error: null }) });
+  const result = await probeBucketWrites(bucket);
+  assert.equal(result.permissions.delete, false);
+  assert.equal(result.details.delete.message, 'No object removed (filtered by policy)');
+  assert.deepEqual(result.leftovers, [result.marker.replace(/\.txt$/, '-moved.txt')]);
+});
+
+test('a refused overwrite and move report overwrite as denied', async () => {
+  const bucket = fakeBucket({ update: async () => denied, move: async () => ({ data: null, error: { statusCode: '400', message: 'Object not found' } }) });
+  const result = await probeBucketWrites(bucket);
+  assert.equal(result.permissions.overwrite, false);
+  assert.equal(result.permissions.delete, true);
+  assert.deepEqual(result.leftovers, []);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { countAndSample, dumpTableRows } from '../src/extractor.js';
+
+/** Query-builder stand-in over `rows` that records every request; serves at most `maxPage` rows per range. */
+function fakeTable(rows, { maxPage = Infinity, error } = {}) {
+  const requests = [];
+  const from = () => {
+    const req = { select: undefined, options: undefined, order: undefined, range: undefined, limit: undefined };
+    requests.push(req);
+    const run = () => {
+      if (error) return { data: null, error };
+      if (req.options?.head) return { data: null, count: rows.length, error: null };
+      if (req.range) return { data: rows.slice(req.range[0], Math.min(req.range[1] + 1, req.range[0] + maxPage)), error: null };
+      return { data: rows.slice(0, req.limit), error: null };
+    };
+    const builder = {
+      select: (select, options) => Object.assign(req, { select, options }) && builder,
+      order: (column) => Object.assign(req, { order: column }) && builder,
+      limit: async (n) => (req.limit = n, run()),
+      range: async (a, b) => (req.range = [a, b], run()),
+      then: (resolve) => resolve(run()),
+    };
+    return builder;
+  };
+  return { from, requests };
+}
+
+const rows = Array.from({ length: 2500 }, (_, i) => ({ id: i + 1 }));
+
+test('samples a few rows and counts with a head-only request', async () => {
+  const table = fakeTable(rows);
+  const res = await countAndSample(table, 'items', 'planned', 'id');
+  assert.equal(res.data.length, 3);
+  assert.equal(res.count, 2500);
+  assert.deepEqual(table.requests[1].options, { count: 'planned', head: true });
+  assert.equal(table.requests[1].select, 'id');
+});
+
+test('a refused sample skips the count', async () => {
+  const table = fakeTable(rows, { error: { message: 'permission denied' } });
+  const res = await countAndSample(table, 'items', 'exact');
+  assert.equal(res.error.message, 'permission denied');
+  assert.equal(table.requests.length, 1);
+});
+
+test('dumps page by page in primary key order up to maxRows', async () => {
+  const table = fakeTable(rows);
+  const pages = [];
+  const res = await dumpTableRows(table, 'items', [{ column_name: 'id', is_primary_key: true }], { maxRows: 1500, onPage: (page) => pages.push(page.length) });
+  assert.deepEqual(pages, [1000, 500]);
+  assert.deepEqual(res, { rows: 1500, truncated: true });
+  assert.equal(table.requests[0].order, 'id');
+  assert.deepEqual(table.requests[1].range, [1000, 1499]);
+});
+
+test('keeps paging when the server caps pages below the page size', async () => {
+  const table = fakeTable(rows.slice(0, 450), { maxPage: 200 });
+  const pages = [];
+  const res = await dumpTableRows(table, 'items', null, { maxRows: 10000, onPage: (page) => pages.push(page.length) });
+  assert.deepEqual(pages, [200, 200, 50]);
+  assert.deepEqual(res, { rows: 450, truncated: false });
+  assert.equal(table.requests[0].order, undefined);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { discoverTablesByWordlist, resolveWordlists } from '../src/table-wordlists.js';
+
+/** PostgREST stand-in: `tables` exist, `denied` exist but refuse, misses in `hints` get a "Perhaps you meant" hint. */
+function fakePostgrest({ tables = [], denied = [], hints = {} } = {}) {
+  const tried = [];
+  const from = (name) => ({
+    select: () => ({
+      limit: async () => {
+        tried.push(name);
+        if (tables.includes(name)) return { data: [], error: null };
+        if (denied.includes(name)) return { data: null, error: { code: '42501', message: `permission denied for table ${name}` } };
+        return { data: null, error: { code: 'PGRST205', message: `Could not find the table 'public.${name}' in the schema cache`, hint: hints[name] ? `Perhaps you meant the table 'public.${hints[name]}'` : null } };
+      },
+    }),
+  });
+  return { supabase: { from, schema: () => ({ from }) }, tried };
+}
+
+const names = (found) => found.map((t) => t.table_name);
+
+test('resolves bundled wordlists and rejects unknown ones', () => {
+  assert.deepEqual(resolveWordlists(['saas', 'health']), ['saas', 'health']);
+  assert.ok(resolveWordlists().includes('common'));
+  assert.throws(() => resolveWordlists(['saas', 'gaming']), /Unknown wordlist\(s\) gaming: expected common, saas/);
+});
+
+test('tries both numbers, column-derived names and reports denied tables as existing', async () => {
+  const { supabase, tried } = fakePostgrest({ tables: ['person', 'widgets'], denied: ['employee'] });
+  const found = await discoverTablesByWordlist(supabase, { wordlists: ['common'], extraWords: ['people'], seedColumns: ['widgetId', 'author_id'] }, () => {});
+  assert.deepEqual(names(found).slice(0, 3), ['employee', 'person', 'widgets']);
+  assert.ok(tried.includes('users') && tried.includes('user'));
+  assert.ok(!tried.includes('newss'));
+});
+
+test('skips known tables and follows PostgREST hints', async () => {
+  const { supabase, tried } = fakePostgrest({ tables: ['customer_accounts'], hints: { customers: 'customer_accounts' } });
+  const found = await discoverTablesByWordlist(supabase, { wordlists: ['saas'], known: [{ table_name: 'plans' }] }, () => {});
+  assert.equal(names(found)[0], 'customer_accounts');
+  assert.ok(!tried.includes('plans'));
+  assert.equal(tried.filter((n) => n === 'customer_accounts').length, 1);
+});
+
+test('finds prefixed wordlist names through mutations and mutates confirmed tables', async () => {
+  const { supabase } = fakePostgrest({ tables: ['app_users', 'orders', 'orders_v2'] });
+  const lines = [];
+  const found = await discoverTablesByWordlist(supabase, {}, (line) => lines.push(line));
+  assert.deepEqual(names(found), ['orders', 'orders_v2', 'app_users']);
+  assert.match(lines.at(-1), /hits by source: wordlist 1, mutation 2/);
+});
+
+test('never tries more than 2000 names', async () => {
+  const { supabase, tried } = fakePostgrest();
+  await discoverTablesByWordlist(supabase, {}, () => {});
+  assert.equal(tried.length, 2000);
+  assert.equal(new Set(tried).size, 2000);
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatBytes, mapInBatches, randomId } from '../src/util.js';
+
+test('randomId returns distinct v4 UUIDs', async () => {
+  const [a, b] = await Promise.all([randomId(), randomId()]);
+  assert.match(a, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+  assert.notEqual(a, b);
+});
+
+test('formatBytes picks the largest whole unit', () => {
+  assert.equal(formatBytes(undefined), '0 B');
+  assert.equal(formatBytes(512), '512 B');
+  assert.equal(formatBytes(1536), '1.5 KB');
+  assert.equal(formatBytes(5 * 1024 ** 3), '5.0 GB');
+});
+
+test('mapInBatches keeps input order and runs one batch at a time', async () => {
+  let running = 0;
+  let peak = 0;
+  const results = await mapInBatches([5, 1, 4, 2, 3], 2, async (n, i) => {
+    running += 1;
+    peak = Math.max(peak, running);
+    await new Promise((resolve) => setTimeout(resolve, n));
+    running -= 1;
+    return `${i}:${n}`;
+  });
+  assert.deepEqual(results, ['0:5', '1:1', '2:4', '3:2', '4:3']);
+  assert.equal(peak, 2);
+});
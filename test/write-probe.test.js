@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkRollbackSupport, probeTablePermissions } from '../src/write-probe.js';
+
+/** Client whose fetch answers every request with respond(method, url). */
+function fakeClient(respond) {
+  const calls = [];
+  return {
+    calls,
+    supabaseUrl: 'https://example.supabase.co',
+    headers: {},
+    fetch: async (url, init = {}) => {
+      calls.push({ method: init.method, url });
+      const { status = 200, body = null, headers = {} } = respond(init.method, url) || {};
+      return new Response(body == null ? null : JSON.stringify(body), { status, headers });
+    },
+  };
+}
+
+const table = { table_name: 'orders', table_schema: 'public' };
+const readable = { columns: [{ column_name: 'id' }], sampleRows: [{ id: 7, total: 10 }], error: null };
+
+test('rollback probe reports writes that pass RLS and rows filtered by policy', async () => {
+  const client = fakeClient((method) => {
+    if (method === 'POST') return { status: 201 };
+    if (method === 'PATCH') return { body: [{ id: 7 }] };
+    return { body: [] };
+  });
+  const res = await probeTablePermissions(client, table, readable, 'rollback');
+  assert.deepEqual(res.permissions, { select: true, insert: true, update: true, delete: false });
+  assert.ok(client.calls.every((c) => c.url.startsWith('https://example.supabase.co/rest/v1/orders')));
+  assert.match(client.calls[1].url, /\?id=eq\.7$/);
+});
+
+test('only 42501 counts as denied', async () => {
+  const client = fakeClient((method) => {
+    if (method === 'POST') return { status: 401, body: { code: '42501', message: 'permission denied for table orders' } };
+    if (method === 'PATCH') return { status: 401, body: { code: 'PGRST301', message: 'JWT expired' } };
+    return { status: 401, body: { message: 'Invalid API key' } };
+  });
+  const res = await probeTablePermissions(client, table, readable, 'rollback');
+  assert.equal(res.permissions.insert, false);
+  assert.equal(res.permissions.update, null);
+  assert.match(res.details.update.message, /^auth error: JWT expired/);
+  assert.equal(res.permissions.delete, null);
+});
+
+test('integrity errors are raised after RLS, so they count as allowed', async () => {
+  const client = fakeClient((method) => (method === 'POST' ? { status: 409, body: { code: '23505', message: 'duplicate key' } } : { body: [{ id: 7 }] }));
+  const res = await probeTablePermissions(client, table, readable, 'rollback');
+  assert.equal(res.permissions.insert, true);
+});
+
+test('successful no-op writes only show the grant', async () => {
+  const client = fakeClient((method) => (method === 'DELETE' ? { status: 403, body: { code: '42501', message: 'permission denied' } } : { status: 201 }));
+  const res = await probeTablePermissions(client, table, readable, 'noop');
+  assert.deepEqual(res.permissions, { select: true, insert: null, update: null, delete: false });
+  assert.deepEqual(res.grants, { insert: true, update: true, delete: false });
+  assert.equal(res.details.insert.message, 'grant only (RLS not exercised)');
+  const patch = client.calls.find((c) => c.method === 'PATCH');
+  assert.match(patch.url, /\?id=is\.null&id=not\.is\.null$/);
+});
+
+test('rollback is only trusted when PostgREST echoes it back', async () => {
+  const honoured = fakeClient(() => ({ body: [], headers: { 'Preference-Applied': 'tx=rollback' } }));
+  const ignored = fakeClient(() => ({ body: [] }));
+  assert.equal(await checkRollbackSupport(honoured, table), true);
+  assert.equal(await checkRollbackSupport(ignored, table), false);
+});